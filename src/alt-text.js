@@ -0,0 +1,55 @@
+/**
+ * alt-text.js
+ *
+ * Alt text for carousel slides. The slides are text rendered as images, so
+ * the alt text is simply that text in reading order, prefixed with the slide
+ * position ("Slide 2 of 4. What happened: …") so screen-reader users can
+ * follow the carousel.
+ *
+ * slideContent is the single source of truth: the alt text is never stored in
+ * the content JSON (a copy would go stale as soon as someone edits the slides
+ * by hand). generate-images.js derives it when rendering and writes it into
+ * mapping.json next to each image for review; post-carousels.js derives it
+ * again when posting and sends it as alt_text with every carousel item
+ * container, so it always matches what the slides read.
+ */
+
+import { stripMarkup } from './rich-text.js';
+
+// Instagram truncates longer alt text
+export const MAX_ALT_TEXT_LENGTH = 1000;
+
+// Slide titles are written in caps for the design; screen readers may spell them out
+function readableTitle(title) {
+    const t = stripMarkup(title).trim();
+    if (t !== t.toUpperCase()) return t;
+    return t.charAt(0) + t.slice(1).toLowerCase();
+}
+
+function sentence(text) {
+    const t = stripMarkup(text).trim();
+    return /[.!?…:]$/.test(t) ? t : `${t}.`;
+}
+
+function clamp(text) {
+    if (text.length <= MAX_ALT_TEXT_LENGTH) return text;
+    return text.slice(0, MAX_ALT_TEXT_LENGTH - 1).replace(/\s+\S*$/, '') + '…';
+}
+
+/**
+ * Alt text for each slide of a post, in slide order.
+ * @returns {string[]}
+ */
+export function slideAltText(post) {
+    const sc = post.slideContent;
+    const total = post.slides || (sc.slide4 ? 4 : 3);
+    const texts = [
+        `${sentence(sc.slide1.headline)} ${sentence(sc.slide1.subtitle)}`,
+        `${readableTitle(sc.slide2.title)}: ${sc.slide2.lines.map(sentence).join(' ')}`,
+        `${readableTitle(sc.slide3.title)}: ${sc.slide3.lines.map(sentence).join(' ')}`,
+    ];
+    if (total >= 4 && sc.slide4) {
+        texts.push(`${readableTitle(sc.slide4.title)}: ${sc.slide4.bullets.map(sentence).join(' ')}`);
+    }
+    return texts.map((text, i) => clamp(`Slide ${i + 1} of ${texts.length}. ${text}`));
+}
@@ -0,0 +1,199 @@
+/**
+ * caption-lint.js
+ *
+ * Caption checks run after content generation and again in postCarousel,
+ * right before the caption is sent to Instagram. Rules are read from
+ * config/caption-rules.json (or the file named by CAPTION_RULES_FILE):
+ *   - Instagram limits: length, hashtag count, @mention count
+ *   - house style: hashtag range, generic/entity hashtag mix, an engaging
+ *     question, banned hashtags
+ *
+ * Mechanical issues are fixed automatically when "autoFix" is on: trailing
+ * whitespace and blank-line runs, duplicate or banned tags in the closing
+ * hashtag block, too many tags (trimmed from the end) and too few (topped up
+ * from the generic house tags). Everything else is an error.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const ROOT = path.resolve(__dirname, '..');
+
+const DEFAULT_RULES_FILE = path.resolve(ROOT, 'config', 'caption-rules.json');
+
+const HASHTAG_RE = /#[\p{L}\p{N}_]+/gu;
+const MENTION_RE = /(?<![\w@])@[A-Za-z0-9._]+/g;
+const TAG_BLOCK_RE = /(\s*)((?:#[\p{L}\p{N}_]+\s*)+)$/u;
+
+export function loadCaptionRules(file = process.env.CAPTION_RULES_FILE || DEFAULT_RULES_FILE) {
+    return JSON.parse(fs.readFileSync(path.resolve(ROOT, file), 'utf-8'));
+}
+
+function tagKey(tag) {
+    return tag.replace(/^#/, '').toLowerCase();
+}
+
+/**
+ * Split a caption into its prose and the run of hashtags it ends with.
+ */
+function splitTagBlock(caption) {
+    const m = caption.match(TAG_BLOCK_RE);
+    if (!m) return { body: caption, sep: '\n\n', tags: [] };
+    return { body: caption.slice(0, m.index), sep: m[1] || (m.index > 0 ? ' ' : ''), tags: m[2].match(HASHTAG_RE) };
+}
+
+function tidyWhitespace(text) {
+    return text
+        .split('\n')
+        .map(line => line.replace(/[ \t]+$/, ''))
+        .join('\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+function applyFixes(caption, rules, fixes) {
+    const h = rules.hashtags || {};
+    const generic = new Set((h.generic || []).map(tagKey));
+    const banned = new Set((h.banned || []).map(tagKey));
+
+    let text = tidyWhitespace(caption);
+    if (text !== caption) fixes.push('removed trailing whitespace / extra blank lines');
+
+    // Only the closing hashtag block is rewritten — tags inside sentences are prose
+    const { body, sep, tags } = splitTagBlock(text);
+    const bodyKeys = (body.match(HASHTAG_RE) || []).map(tagKey);
+    const seen = new Set(bodyKeys);
+    const block = [];
+
+    for (const tag of tags) {
+        const key = tagKey(tag);
+        if (banned.has(key)) {
+            fixes.push(`removed banned hashtag ${tag}`);
+        } else if (seen.has(key)) {
+            fixes.push(`removed duplicate hashtag ${tag}`);
+        } else {
+            seen.add(key);
+            block.push(tag);
+        }
+    }
+
+    const keys = () => [...bodyKeys, ...block.map(tagKey)];
+    const genericCount = () => keys().filter(k => generic.has(k)).length;
+    const entityCount = () => keys().length - genericCount();
+
+    // Too many: drop from the end without breaking the generic/entity mix
+    if (h.max) {
+        for (let i = block.length - 1; i >= 0 && keys().length > h.max; i--) {
+            const removable = generic.has(tagKey(block[i]))
+                ? genericCount() > (h.minGeneric || 0)
+                : entityCount() > (h.minEntity || 0);
+            if (removable) {
+                fixes.push(`removed extra hashtag ${block[i]}`);
+                block.splice(i, 1);
+            }
+        }
+    }
+
+    // Too few (or not enough generic ones): top up from the house tags
+    for (const g of h.generic || []) {
+        const enough = keys().length >= (h.min || 0) && genericCount() >= (h.minGeneric || 0);
+        if (enough || (h.max && keys().length >= h.max)) break;
+        if (!seen.has(tagKey(g))) {
+            seen.add(tagKey(g));
+            block.push(`#${g}`);
+            fixes.push(`added house hashtag #${g}`);
+        }
+    }
+
+    if (block.join(' ') !== tags.join(' ')) {
+        if (block.length === 0) text = body.trimEnd();
+        else text = body ? `${body}${sep}${block.join(' ')}` : block.join(' ');
+    }
+    return text;
+}
+
+/**
+ * Lint (and, if enabled, fix) one caption.
+ * @returns {{ caption: string, fixes: string[], errors: Array<{ rule: string, message: string }> }}
+ */
+export function lintCaption(caption, rules = loadCaptionRules()) {
+    const h = rules.hashtags || {};
+    const fixes = [];
+    const errors = [];
+
+    let text = String(caption ?? '');
+    if (rules.autoFix !== false) text = applyFixes(text, rules, fixes);
+
+    const tags = text.match(HASHTAG_RE) || [];
+    const keys = tags.map(tagKey);
+    const generic = new Set((h.generic || []).map(tagKey));
+    const banned = new Set((h.banned || []).map(tagKey));
+    const mentions = text.match(MENTION_RE) || [];
+    const prose = splitTagBlock(text).body.replace(HASHTAG_RE, '');
+
+    if (!text.trim()) {
+        errors.push({ rule: 'empty', message: 'caption is empty' });
+    }
+    if (rules.maxLength && text.length > rules.maxLength) {
+        errors.push({ rule: 'length', message: `${text.length} characters (max ${rules.maxLength})` });
+    }
+    if (rules.maxHashtags && tags.length > rules.maxHashtags) {
+        errors.push({ rule: 'hashtag-limit', message: `${tags.length} hashtags (Instagram max ${rules.maxHashtags})` });
+    }
+    if (rules.maxMentions && mentions.length > rules.maxMentions) {
+        errors.push({ rule: 'mention-limit', message: `${mentions.length} @mentions (Instagram max ${rules.maxMentions})` });
+    }
+    if ((h.min && tags.length < h.min) || (h.max && tags.length > h.max)) {
+        errors.push({ rule: 'hashtag-count', message: `${tags.length} hashtags (house style ${h.min || 0}–${h.max || '∞'})` });
+    }
+
+    const genericCount = keys.filter(k => generic.has(k)).length;
+    if (h.minGeneric && genericCount < h.minGeneric) {
+        errors.push({ rule: 'hashtag-mix', message: `${genericCount} generic house hashtag(s) (need ${h.minGeneric})` });
+    }
+    if (h.minEntity && keys.length - genericCount < h.minEntity) {
+        errors.push({ rule: 'hashtag-mix', message: `${keys.length - genericCount} entity-specific hashtag(s) (need ${h.minEntity})` });
+    }
+
+    const bannedUsed = tags.filter(t => banned.has(tagKey(t)));
+    if (bannedUsed.length > 0) {
+        errors.push({ rule: 'banned-hashtag', message: `banned hashtag(s): ${bannedUsed.join(' ')}` });
+    }
+    const duplicates = tags.filter((t, i) => keys.indexOf(tagKey(t)) !== i);
+    if (duplicates.length > 0) {
+        errors.push({ rule: 'duplicate-hashtag', message: `duplicate hashtag(s): ${duplicates.join(' ')}` });
+    }
+    if (text !== tidyWhitespace(text)) {
+        errors.push({ rule: 'whitespace', message: 'trailing whitespace or extra blank lines' });
+    }
+    if (rules.requireQuestion && !prose.includes('?')) {
+        errors.push({ rule: 'question', message: 'no engaging question for the audience' });
+    }
+
+    return { caption: text, fixes, errors };
+}
+
+/**
+ * Human-readable multi-line list of caption errors.
+ */
+export function formatCaptionErrors(errors, indent = '  ') {
+    return errors.map(e => `${indent}• [${e.rule}] ${e.message}`).join('\n');
+}
+
+/**
+ * Lint every caption of a content object, writing fixed captions back in place.
+ * @returns {Array<{ postId: number, errors: object[] }>} Posts that still fail
+ */
+export function lintContentCaptions(content, rules = loadCaptionRules()) {
+    const failures = [];
+    for (const post of content.posts || []) {
+        const result = lintCaption(post.caption, rules);
+        post.caption = result.caption;
+        for (const fix of result.fixes) console.log(`  🔧 Post ${post.id}: ${fix}`);
+        if (result.errors.length > 0) failures.push({ postId: post.id, errors: result.errors });
+    }
+    return failures;
+}
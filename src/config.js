@@ -1,24 +1,72 @@
 import dotenv from 'dotenv';
 import { fileURLToPath } from 'url';
 import path from 'path';
+import fs from 'fs';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
-dotenv.config({ path: path.join(__dirname, '..', '.env') });
+const ENV_PATH = path.join(__dirname, '..', '.env');
+dotenv.config({ path: ENV_PATH });
+
+const TOKEN_STORE = (process.env.TOKEN_STORE || 'env').toLowerCase(); // "env" or "file"
+const TOKEN_FILE = process.env.TOKEN_STORE_PATH || path.join(__dirname, '..', 'secrets', 'instagram-token.json');
+
+// With the "file" store, a refreshed token in the secrets file wins over the env var
+function readStoredToken() {
+  if (TOKEN_STORE !== 'file' || !fs.existsSync(TOKEN_FILE)) return null;
+  try {
+    return JSON.parse(fs.readFileSync(TOKEN_FILE, 'utf-8'));
+  } catch {
+    return null;
+  }
+}
+
+const storedToken = readStoredToken();
 
 export const config = {
   instagram: {
-    accessToken: process.env.INSTAGRAM_ACCESS_TOKEN,
+    accessToken: storedToken?.accessToken || process.env.INSTAGRAM_ACCESS_TOKEN,
     accountId: process.env.INSTAGRAM_ACCOUNT_ID,
-    graphApiBase: 'https://graph.instagram.com/v21.0',
-    facebookGraphBase: 'https://graph.facebook.com/v21.0',
+    // Override both to point at a local stand-in (npm run mock-graph)
+    graphApiBase: process.env.INSTAGRAM_GRAPH_API_BASE || 'https://graph.instagram.com/v21.0',
+    facebookGraphBase: process.env.FACEBOOK_GRAPH_API_BASE || 'https://graph.facebook.com/v21.0',
+    // Share each new post's cover to Stories (per account: set in that account's env)
+    stories: {
+      enabled: process.env.INSTAGRAM_STORIES_ENABLED === 'true',
+    },
+    retry: {
+      maxRetries: parseInt(process.env.GRAPH_MAX_RETRIES || '4', 10),
+      baseDelayMs: parseInt(process.env.GRAPH_RETRY_BASE_MS || '1000', 10),
+      maxDelayMs: 60000,
+      usagePauseThreshold: 90, // % of X-App-Usage / BUC usage before we slow down
+    },
+  },
+  token: {
+    store: TOKEN_STORE,
+    envPath: ENV_PATH,
+    filePath: TOKEN_FILE,
+    // Expiry recorded at the last refresh (used when debug_token isn't available)
+    expiresAt: storedToken?.expiresAt || process.env.INSTAGRAM_TOKEN_EXPIRES_AT || null,
+    // Optional: app credentials enable the debug_token introspection endpoint
+    appId: process.env.INSTAGRAM_APP_ID,
+    appSecret: process.env.INSTAGRAM_APP_SECRET,
+    warnDays: parseInt(process.env.TOKEN_WARN_DAYS || '10', 10),
+    refreshWithinDays: parseInt(process.env.TOKEN_REFRESH_DAYS || '15', 10),
+    autoRefresh: process.env.TOKEN_AUTO_REFRESH === 'true',
   },
-  github: {
-    rawBaseUrl: 'https://raw.githubusercontent.com/Jenisbarad/AIautopost/main',
+  state: {
+    // Publish ledger and other run state that must survive between workflow runs
+    dir: process.env.STATE_DIR || path.join(__dirname, '..', 'state'),
   },
   posting: {
     spacingMs: parseInt(process.env.POST_SPACING_MS || '10800000', 10), // 3 hours
     maxPostsPerDay: 5,
   },
+  preflight: {
+    // Fetch every image URL before creating containers; retry ones not served yet
+    retries: parseInt(process.env.PREFLIGHT_RETRIES || '5', 10),
+    retryDelayMs: parseInt(process.env.PREFLIGHT_RETRY_DELAY_MS || '10000', 10),
+    timeoutMs: parseInt(process.env.PREFLIGHT_TIMEOUT_MS || '30000', 10),
+  },
 };
 
 export function validateConfig() {
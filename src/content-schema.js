@@ -0,0 +1,81 @@
+/**
+ * content-schema.js
+ *
+ * Single source of truth for the content/*.json format: validates a content
+ * object against schema/content.v1.schema.json and reports every violation
+ * with a JSON path (e.g. $.posts[2].slideContent.slide2.lines).
+ */
+
+import Ajv from 'ajv';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const CONTENT_SCHEMA_VERSION = 1;
+export const CONTENT_SCHEMA_PATH = path.resolve(__dirname, '..', 'schema', `content.v${CONTENT_SCHEMA_VERSION}.schema.json`);
+
+const schema = JSON.parse(fs.readFileSync(CONTENT_SCHEMA_PATH, 'utf-8'));
+const ajv = new Ajv({ allErrors: true, strict: false });
+const validate = ajv.compile(schema);
+
+/**
+ * Convert an Ajv instancePath ("/posts/0/slideContent") to "$.posts[0].slideContent".
+ */
+function toJsonPath(instancePath) {
+    return '$' + instancePath
+        .split('/')
+        .slice(1)
+        .map(seg => (/^\d+$/.test(seg) ? `[${seg}]` : `.${seg.replace(/~1/g, '/').replace(/~0/g, '~')}`))
+        .join('');
+}
+
+function describe(err) {
+    switch (err.keyword) {
+        case 'required':
+            return { path: `${toJsonPath(err.instancePath)}.${err.params.missingProperty}`, message: 'is required' };
+        case 'enum':
+            return { path: toJsonPath(err.instancePath), message: `must be one of: ${err.params.allowedValues.join(', ')}` };
+        case 'const':
+            return { path: toJsonPath(err.instancePath), message: `must be ${JSON.stringify(err.params.allowedValue)}` };
+        default:
+            return { path: toJsonPath(err.instancePath), message: err.message };
+    }
+}
+
+/**
+ * Validate parsed content JSON.
+ * @returns {{ valid: boolean, errors: Array<{ path: string, message: string }> }}
+ */
+export function validateContent(content) {
+    const valid = validate(content);
+    if (valid) return { valid: true, errors: [] };
+
+    // "if/then" failures are reported alongside the real cause — drop the noise
+    const errors = validate.errors
+        .filter(e => e.keyword !== 'if')
+        .map(describe);
+    return { valid: false, errors };
+}
+
+/**
+ * Human-readable multi-line list of violations.
+ */
+export function formatContentErrors(errors, indent = '  ') {
+    return errors.map(e => `${indent}• ${e.path} ${e.message}`).join('\n');
+}
+
+/**
+ * Throw if the content doesn't match the schema. `label` names the file in the message.
+ */
+export function assertValidContent(content, label = 'content') {
+    const { valid, errors } = validateContent(content);
+    if (!valid) {
+        throw new Error(
+            `${label} does not match content schema v${CONTENT_SCHEMA_VERSION} (${errors.length} violation(s)):\n` +
+            formatContentErrors(errors)
+        );
+    }
+}
@@ -0,0 +1,23 @@
+/**
+ * env.js
+ *
+ * Small helpers for reading environment variables, shared by the modules
+ * that are configured from JSON files with env overrides
+ * (llm-providers.js, image-hosts.js).
+ */
+
+export function envTrim(name) {
+    const v = name ? process.env[name] : undefined;
+    return typeof v === 'string' ? v.trim() : '';
+}
+
+export function envBool(name, defaultValue = false) {
+    const v = envTrim(name).toLowerCase();
+    if (!v) return defaultValue;
+    return v === '1' || v === 'true' || v === 'yes' || v === 'y' || v === 'on';
+}
+
+// "${VAR:-fallback}" → value of VAR, or fallback when unset
+export function expandEnv(value) {
+    return String(value).replace(/\$\{(\w+)(?::-([^}]*))?\}/g, (_, name, fallback = '') => envTrim(name) || fallback);
+}
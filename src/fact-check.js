@@ -0,0 +1,278 @@
+/**
+ * fact-check.js
+ *
+ * Verification pass run after content generation. For every post it:
+ *   1. extracts each claim (figures, dates, named products) from slideContent
+ *      and caption
+ *   2. gathers the post's source material (the cited source items, plus the
+ *      article text when the page can be fetched; only stored in the day's
+ *      source snapshot when recording, LLM_CACHE_MODE=record, and read back
+ *      from there when replaying)
+ *   3. asks a second model call to judge each claim against that material
+ *   4. writes a per-post verdict into post.factCheck:
+ *        supported   → every claim is backed by the sources
+ *        unsupported → at least one claim contradicts / isn't in the sources
+ *        unknown     → couldn't be decided (no material, model failure, ...)
+ *
+ * post-carousels.js refuses to publish "unsupported" posts unless overridden.
+ *
+ * Usage (re-check an existing content file):
+ *   node src/fact-check.js --date 2026-02-25
+ */
+
+import axios from "axios";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { generateWithFallback, llmCacheMode } from "./llm-providers.js";
+import { loadSourceSnapshot, saveSnapshotArticles, canonicalUrl } from "./news-sources.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const ROOT = path.resolve(__dirname, "..");
+
+const ARTICLE_MAX_CHARS = 6000;
+
+const FACT_CHECK_PROMPT = `You are a strict fact-checker for a tech news Instagram account.
+
+Below is the SOURCE MATERIAL for one post, followed by CLAIMS taken from that post.
+For each claim decide, using ONLY the source material (not your own knowledge):
+- "supported"   → the source material states it (numbers, names and dates must match)
+- "unsupported" → the source material contradicts it, or states a different number/entity
+- "unknown"     → the source material doesn't say either way
+
+Return ONLY valid JSON (no markdown), in this shape:
+{
+  "claims": [
+    { "id": "c1", "verdict": "supported|unsupported|unknown", "evidence": "short quote from the source, or why not" }
+  ]
+}
+
+SOURCE MATERIAL:
+{SOURCES}
+
+CLAIMS:
+{CLAIMS}
+`;
+
+// ==============================
+// Claim extraction
+// ==============================
+function splitSentences(text) {
+    return String(text)
+        .split(/(?<=[.!?])\s+|\n+/)
+        .map(s => s.trim())
+        .filter(Boolean);
+}
+
+// A sentence is a checkable claim if it states a figure or names a product.
+// Plain capitalised words ("Today", "Big Tech") and small counts ("3 ways")
+// don't make one.
+const MONTHS = "Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec";
+const CLAIM_PATTERNS = [
+    // Percentages and money: 40%, 12.5 percent, $2B, €300, 20 million dollars
+    /\d\s*(?:%|percent\b)/i,
+    /[$€£¥]\s*\d|\d\s*(?:dollars|euros|usd|eur)\b/i,
+    // Dates: 2026, March 3, 3 March, Q1
+    /\b(?:19|20)\d{2}\b|\bQ[1-4]\b/,
+    new RegExp(`\\b(?:${MONTHS})[a-z]*\\.?\\s+\\d{1,2}\\b|\\b\\d{1,2}\\s+(?:${MONTHS})`),
+    // Numbers: anything from 10 up, decimals, or a count with a magnitude
+    // or multiplier (70B, 1M tokens, 3x faster, 5 million)
+    /\b\d{2,}|\d[.,]\d|\b\d+\s*(?:[kmbt]\b|x\b|thousand|million|billion|trillion)/i,
+    // Named products: versioned names (GPT-5, Llama 3.1, o3, H100) and
+    // CamelCase names (ChatGPT, OpenAI, DeepMind)
+    /\b[A-Za-z][A-Za-z]*-?\d|\b[A-Z][A-Za-z]+ \d+(?:\.\d+)*\b/,
+    /\b[A-Z][a-z]+[A-Z]/,
+];
+
+function isClaim(sentence) {
+    return CLAIM_PATTERNS.some(re => re.test(sentence));
+}
+
+/**
+ * Pull every checkable claim out of a post.
+ * @returns {Array<{ id: string, field: string, text: string }>}
+ */
+export function extractClaims(post) {
+    const sc = post.slideContent || {};
+    const fields = [
+        ["slideContent.slide1.headline", sc.slide1?.headline],
+        ["slideContent.slide1.subtitle", sc.slide1?.subtitle],
+        ...(sc.slide2?.lines || []).map((l, i) => [`slideContent.slide2.lines[${i}]`, l]),
+        ...(sc.slide3?.lines || []).map((l, i) => [`slideContent.slide3.lines[${i}]`, l]),
+        ...(sc.slide4?.bullets || []).map((b, i) => [`slideContent.slide4.bullets[${i}]`, b]),
+        // Hashtags aren't claims
+        ["caption", String(post.caption || "").replace(/#\w+/g, "")],
+    ];
+
+    const claims = [];
+    for (const [field, text] of fields) {
+        if (!text) continue;
+        for (const sentence of splitSentences(text)) {
+            if (!sentence.endsWith("?") && isClaim(sentence)) {
+                claims.push({ id: `c${claims.length + 1}`, field, text: sentence });
+            }
+        }
+    }
+    return claims;
+}
+
+// ==============================
+// Source material
+// ==============================
+function stripHtml(html) {
+    return String(html)
+        .replace(/<(script|style|noscript)[\s\S]*?<\/\1>/gi, " ")
+        .replace(/<[^>]*>/g, " ")
+        .replace(/&nbsp;/g, " ")
+        .replace(/&amp;/g, "&")
+        .replace(/\s+/g, " ")
+        .trim();
+}
+
+async function fetchArticleText(url) {
+    try {
+        const res = await axios.get(url, {
+            timeout: 15000,
+            responseType: "text",
+            headers: { "User-Agent": "dailyainewsone-fact-check/2.0" },
+        });
+        return stripHtml(res.data).slice(0, ARTICLE_MAX_CHARS);
+    } catch {
+        return "";
+    }
+}
+
+// Article text by URL, fetched once; a replay only uses what was stored
+async function articleTextFor(url, articles) {
+    if (!(url in articles)) {
+        articles[url] = llmCacheMode() === "replay" ? "" : await fetchArticleText(url);
+    }
+    return articles[url];
+}
+
+async function sourceMaterialFor(post, sourceItems, articles) {
+    const byUrl = new Map(sourceItems.map(i => [i.url, i]));
+    const blocks = [];
+
+    for (const url of post.sources || []) {
+        const item = byUrl.get(canonicalUrl(url));
+        const article = await articleTextFor(url, articles);
+        const parts = [
+            `URL: ${url}`,
+            item ? `Title: ${item.title}` : null,
+            item?.summary ? `Summary: ${item.summary}` : null,
+            article ? `Article text: ${article}` : null,
+        ].filter(Boolean);
+        if (parts.length > 1) blocks.push(parts.join("\n"));
+    }
+
+    return blocks.join("\n\n---\n\n");
+}
+
+// ==============================
+// Verdicts
+// ==============================
+const VERDICTS = ["supported", "unsupported", "unknown"];
+
+function overallVerdict(claims) {
+    if (claims.some(c => c.verdict === "unsupported")) return "unsupported";
+    if (claims.some(c => c.verdict === "unknown")) return "unknown";
+    return "supported";
+}
+
+function parseJudgement(text) {
+    const cleaned = String(text).trim().replace(/^```(?:json)?\s*/i, "").replace(/```$/, "");
+    const parsed = JSON.parse(cleaned);
+    const list = Array.isArray(parsed) ? parsed : parsed.claims;
+    return new Map((list || []).map(c => [c.id, c]));
+}
+
+/**
+ * Fact-check one post and attach post.factCheck.
+ * @param {Object<string, string>} [articles] - Article text by URL; filled in
+ *   with every page fetched
+ */
+export async function factCheckPost(post, sourceItems, articles = {}) {
+    const claims = extractClaims(post);
+    const checkedAt = new Date().toISOString();
+
+    if (claims.length === 0) {
+        post.factCheck = { checkedAt, verdict: "supported", claims: [] };
+        return post.factCheck;
+    }
+
+    const material = await sourceMaterialFor(post, sourceItems, articles);
+    let judged = new Map();
+    let note = null;
+
+    if (!material) {
+        note = "No source material available";
+    } else {
+        const prompt = FACT_CHECK_PROMPT
+            .replace("{SOURCES}", material)
+            .replace("{CLAIMS}", claims.map(c => `${c.id}: ${c.text}`).join("\n"));
+        try {
+            judged = parseJudgement(await generateWithFallback(prompt));
+        } catch (err) {
+            note = `Fact-check model call failed: ${err.message}`;
+        }
+    }
+
+    const results = claims.map(c => {
+        const j = judged.get(c.id);
+        const verdict = VERDICTS.includes(j?.verdict) ? j.verdict : "unknown";
+        return { field: c.field, text: c.text, verdict, evidence: j?.evidence || note || "" };
+    });
+
+    post.factCheck = { checkedAt, verdict: overallVerdict(results), claims: results };
+    if (note) post.factCheck.note = note;
+    return post.factCheck;
+}
+
+/**
+ * Fact-check every post of a content object in place. Article text already in
+ * the source snapshot of content.date is reused; fetched text is only saved
+ * there when recording fixtures.
+ */
+export async function factCheckContent(content, sourceItems) {
+    const recording = llmCacheMode() === "record";
+    const articles = { ...(loadSourceSnapshot(content.date)?.articles || {}) };
+
+    for (const post of content.posts) {
+        console.log(`🔎 Fact-checking post ${post.id}: ${post.topic}`);
+        const result = await factCheckPost(post, sourceItems, articles);
+        const counts = VERDICTS.map(v => `${result.claims.filter(c => c.verdict === v).length} ${v}`).join(", ");
+        const icon = result.verdict === "supported" ? "✅" : result.verdict === "unsupported" ? "❌" : "❔";
+        console.log(`   ${icon} ${result.verdict.toUpperCase()} (${counts})`);
+        for (const c of result.claims.filter(c => c.verdict === "unsupported")) {
+            console.log(`      ✗ ${c.text}`);
+        }
+    }
+    console.log("");
+
+    if (recording) saveSnapshotArticles(content.date, articles);
+    return content;
+}
+
+// ─── CLI ───
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    const args = process.argv.slice(2);
+    const dateIdx = args.indexOf("--date");
+    const targetDate = dateIdx !== -1 ? args[dateIdx + 1] : null;
+    if (!targetDate) {
+        console.error("Usage: node src/fact-check.js --date YYYY-MM-DD");
+        process.exit(1);
+    }
+
+    const contentPath = path.resolve(ROOT, "content", `${targetDate}.json`);
+    const content = JSON.parse(fs.readFileSync(contentPath, "utf-8"));
+    const snapshot = loadSourceSnapshot(targetDate);
+    if (!snapshot) {
+        console.log(`⚠️  No source snapshot for ${targetDate}; checking against fetched articles only.`);
+    }
+
+    await factCheckContent(content, snapshot?.items || []);
+    fs.writeFileSync(contentPath, JSON.stringify(content, null, 2));
+    console.log(`📁 Updated: ${contentPath}`);
+}
@@ -1,40 +1,59 @@
 /**
  * generate-content.js
  *
- * Uses Google Gemini AI to automatically:
- *   1. Research today's top AI/ML news
- *   2. Generate 5 Instagram carousel posts
+ * Uses the configured LLM providers (config/llm-providers.json) to automatically:
+ *   1. Pull today's AI/ML news from the feeds in config/sources.json
+ *      (plus local drops in sources/inbox/)
+ *   2. Generate 5 Instagram carousel posts grounded in those items
  *   3. Save content JSON with headlines, slide text, captions, hashtags
+ *      and the source URLs each post is based on
+ *   4. Replace any post that repeats a story from the last DEDUPE_DAYS days
+ *   5. Lint captions (config/caption-rules.json), auto-fixing what is mechanical
+ *      and asking the model once to rewrite captions that still fail
+ *   6. Fact-check every numeric/entity claim against those sources and
+ *      store a per-post verdict (post.factCheck)
  *
  * Usage:
  *   node src/generate-content.js              → generate today's content
  *   node src/generate-content.js --date 2026-02-25  → specific date
+ *   node src/generate-content.js --record           → store every LLM response in fixtures/llm/
+ *   node src/generate-content.js --replay           → reuse stored responses (no network)
  *
- * Requires: GEMINI_API_KEY in .env or environment variable
+ * Requires: an API key for at least one provider in config/llm-providers.json
+ * (GROQ_API_KEY, OPENROUTER_API_KEY, TOGETHER_API_KEY, GEMINI_API_KEY), or a
+ * local OpenAI-compatible server:
+ *   LOCAL_LLM_ENABLED=true LOCAL_LLM_MODEL=llama3.1:8b node src/generate-content.js
+ *   LLM_PROVIDER_ORDER=local node src/generate-content.js   → local model only
  */
 
-import axios from "axios";
-import { GoogleGenerativeAI } from "@google/generative-ai";
 import fs from "fs";
 import path from "path";
 import { fileURLToPath } from "url";
 import dotenv from "dotenv";
+import { validateContent, formatContentErrors, CONTENT_SCHEMA_VERSION } from "./content-schema.js";
+import { generateWithFallback, llmCacheMode } from "./llm-providers.js";
+import { envTrim } from "./env.js";
+import { collectSources, loadSourceSnapshot, sourceSnapshotPath, formatSourcesForPrompt, canonicalUrl } from "./news-sources.js";
+import { factCheckContent } from "./fact-check.js";
+import { lintContentCaptions, formatCaptionErrors } from "./caption-lint.js";
+import { loadRecentPosts, findDuplicates, formatRecentTopicsForPrompt, topicSignature } from "./topic-dedupe.js";
 
 dotenv.config();
 
+// Cross-day de-duplication (see topic-dedupe.js)
+const DEDUPE_DAYS = parseInt(envTrim("DEDUPE_DAYS") || "7", 10);
+const DEDUPE_THRESHOLD = parseFloat(envTrim("DEDUPE_THRESHOLD") || "0.4");
+const DEDUPE_MAX_ATTEMPTS = 2;
+
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 const ROOT = path.resolve(__dirname, "..");
 
-function envTrim(name) {
-    const v = process.env[name];
-    return typeof v === "string" ? v.trim() : "";
-}
-
-function envBool(name, defaultValue = false) {
-    const v = envTrim(name).toLowerCase();
-    if (!v) return defaultValue;
-    return v === "1" || v === "true" || v === "yes" || v === "y" || v === "on";
+// --record / --replay are shorthands for LLM_CACHE_MODE (see llm-providers.js)
+if (process.argv[1] === __filename) {
+    const cliArgs = process.argv.slice(2);
+    if (cliArgs.includes("--record")) process.env.LLM_CACHE_MODE = "record";
+    if (cliArgs.includes("--replay")) process.env.LLM_CACHE_MODE = "replay";
 }
 
 // ==============================
@@ -72,9 +91,11 @@ Today's date: {DATE}
 Your job is to generate EXACTLY 5 high-signal Instagram carousel posts using the process below.
 Return ONLY valid JSON at the end (no markdown, no code fences, no commentary).
 
-🧠 STEP 1 — IDENTIFY WHAT IS TRENDING
+🧠 STEP 1 — PICK FROM TODAY'S SOURCE ITEMS
 
-First, internally imagine 10 candidate topics based on:
+Below are real news items collected from our feeds for today. They are your ONLY
+candidate topics — do not invent events and do not rely on memory for what happened.
+Prefer items in these areas:
 - AI & ML
 - Startups
 - Big Tech companies
@@ -93,8 +114,15 @@ First, internally imagine 10 candidate topics based on:
 - Breakthrough research
 - Viral tech product launches
 
+SOURCE ITEMS:
+{SOURCES}
+
+ALREADY COVERED in the last few days — do NOT pick these stories again, even reworded
+or from a different angle (a genuinely NEW development about the same company is fine):
+{RECENT_TOPICS}
+
 Each candidate topic MUST:
-- Be a real, specific, verifiable event (plausible and concrete).
+- Come from one or more SOURCE ITEMS above; every fact, name and number you use must be stated there.
 - Include at least one real entity (company, product, model, government, exchange, VC, etc.).
 - Include at least one number (%, $, users, valuation, date, benchmark score, revenue, funding amount, layoffs %, etc.).
 If a topic is generic like "AI innovation continues" or "Tech is growing" → reject it.
@@ -157,6 +185,7 @@ Now, for the final 5 topics, produce JSON in this shape:
       "topic": "2–6 word short title",
       "slides": 3 or 4,
       "svgIcon": "brain|chip|shield|network|globe|code|atom|rocket|database|lock",
+      "category": "ai-models|funding|hardware|policy|security|research|product|business",
       "slideContent": {
         "slide1": {
           "headline": "Strong attention-grabbing hook",
@@ -191,7 +220,8 @@ Now, for the final 5 topics, produce JSON in this shape:
           ]
         }
       },
-      "caption": "Engaging 2–4 paragraph caption with question + hashtags"
+      "caption": "Engaging 2–4 paragraph caption with question + hashtags",
+      "sources": ["URL of each SOURCE ITEM this post is based on"]
     }
   ]
 }
@@ -202,7 +232,9 @@ Now, for the final 5 topics, produce JSON in this shape:
 - If "slides" is 3 then you may omit "slide4".
 - "slide2.lines" and "slide3.lines" must be arrays of 3–5 concise lines (natural language, no strict word count).
 - Slide lines must be specific and mention entity + at least one number somewhere in slide2.
+- Slide text is plain text, never HTML. For emphasis use only **bold** and ==glow== (at most one or two per slide; wrap the key word of the headline in ==…== to make it glow).
 - Caption is mandatory for every post.
+- "sources" is mandatory for every post: 1–3 URLs copied EXACTLY from the SOURCE ITEMS it is based on.
 - Captions:
   - Paragraph 1: clear summary of the news.
   - Paragraph 2: one engaging question.
@@ -219,6 +251,43 @@ FINAL CHECK BEFORE YOU RETURN JSON:
 - At least 2 high-impact topics (mentally scored 25+).
 - Mix of categories (not all funding).
 - Caption included for all posts.
+- Every post has "sources" URLs taken from SOURCE ITEMS.
+`;
+
+const REPLACE_PROMPT = `You write Instagram carousel posts for @dailyainewsone (AI, startups, tech, business news).
+
+Some of today's posts repeat stories we already covered. Write exactly {COUNT} NEW post(s) to replace them.
+
+Rules:
+- Pick stories ONLY from the SOURCE ITEMS below; every fact, name and number must be stated there.
+- Do NOT cover any story in the EXCLUDED list, even reworded.
+- Same JSON shape, tone and length as the EXAMPLE POST (including "sources" URLs copied exactly from SOURCE ITEMS).
+- Return ONLY a JSON array of {COUNT} post object(s). No markdown, no commentary.
+
+EXAMPLE POST:
+{EXAMPLE_POST}
+
+EXCLUDED:
+{EXCLUDED}
+
+SOURCE ITEMS:
+{SOURCES}
+`;
+
+const CAPTION_FIX_PROMPT = `You write Instagram captions for @dailyainewsone (AI, startups, tech, business news).
+
+The captions below break our caption rules. Rewrite each one so it fixes EVERY listed error.
+
+Rules:
+- Keep the facts, names and numbers of the original caption; add nothing new.
+- Paragraph 1: clear summary of the news. Paragraph 2: one engaging question.
+- Hashtags: 6–10 total at the end, mixing
+    #AInews #StartupNews #TechNews #BusinessNews #Innovation #FutureTech
+  plus 2–4 entity-specific tags (e.g. #OpenAI #Llama3 #Gemini #IPO).
+- Return ONLY a JSON array of {COUNT} object(s): [{ "id": <post id>, "caption": "..." }]. No markdown, no commentary.
+
+CAPTIONS:
+{CAPTIONS}
 `;
 
 const REPAIR_PROMPT = `You are given JSON from another model that is NOT in the required schema for our slide renderer.
@@ -236,6 +305,7 @@ REQUIRED JSON shape (same as before):
       "topic": "2–6 word short title",
       "slides": 3 or 4,
       "svgIcon": "brain|chip|shield|network|globe|code|atom|rocket|database|lock",
+      "category": "ai-models|funding|hardware|policy|security|research|product|business",
       "slideContent": {
         "slide1": {
           "headline": "Strong attention-grabbing hook",
@@ -270,208 +340,18 @@ REQUIRED JSON shape (same as before):
           ]
         }
       },
-      "caption": "Engaging 2–4 paragraph caption with question + hashtags"
+      "caption": "Engaging 2–4 paragraph caption with question + hashtags",
+      "sources": ["URL of each SOURCE ITEM this post is based on"]
     }
   ]
 }
 
+Keep every "sources" URL from the input unchanged.
+
 Input JSON to convert:
 {INPUT_JSON}
 `;
 
-// ==============================
-// FREE MULTI-AI FALLBACK SYSTEM
-// ==============================
-async function generateWithFallback(prompt) {
-
-    const providers = [
-
-        // 1️⃣ GROQ (Primary Free)
-        async () => {
-            const groqKey = envTrim("GROQ_API_KEY");
-            if (!groqKey) {
-                throw new Error("SKIP: GROQ_API_KEY not set");
-            }
-            console.log("🔵 Trying Groq (Llama3 70B)...");
-            const groqModelCandidates = [
-                envTrim("GROQ_MODEL"),
-                "llama-3.3-70b-versatile",
-                "llama-3.1-70b-versatile",
-                "llama-3.1-8b-instant",
-            ].filter(Boolean);
-
-            let lastErr = null;
-            for (const modelName of groqModelCandidates) {
-                try {
-                    const res = await axios.post(
-                        "https://api.groq.com/openai/v1/chat/completions",
-                        {
-                            model: modelName,
-                            messages: [{ role: "user", content: prompt }],
-                            temperature: 0.8,
-                            max_tokens: 6000
-                        },
-                        {
-                            headers: {
-                                Authorization: `Bearer ${groqKey}`,
-                                "Content-Type": "application/json"
-                            }
-                        }
-                    );
-                    return res.data.choices[0].message.content;
-                } catch (e) {
-                    lastErr = e;
-                    const data = e?.response?.data;
-                    const msg = (data?.error?.message || e?.message || "").toLowerCase();
-                    const code = data?.error?.code;
-                    if (code === "model_decommissioned" || msg.includes("decommissioned") || msg.includes("no longer supported") || msg.includes("model")) {
-                        continue;
-                    }
-                    throw e;
-                }
-            }
-
-            throw lastErr || new Error("Groq failed");
-        },
-
-        // 2️⃣ OpenRouter Free
-        async () => {
-            const openrouterKey = envTrim("OPENROUTER_API_KEY");
-            if (!openrouterKey) {
-                throw new Error("SKIP: OPENROUTER_API_KEY not set");
-            }
-            console.log("🟣 Trying OpenRouter...");
-            const res = await axios.post(
-                "https://openrouter.ai/api/v1/chat/completions",
-                {
-                    model: "meta-llama/llama-3-8b-instruct",
-                    messages: [{ role: "user", content: prompt }],
-                    temperature: 0.8,
-                    max_tokens: 6000
-                },
-                {
-                    headers: {
-                        Authorization: `Bearer ${openrouterKey}`,
-                        // Optional but recommended by OpenRouter; safe even if unset
-                        "HTTP-Referer": process.env.OPENROUTER_SITE_URL || "https://github.com",
-                        "X-Title": process.env.OPENROUTER_APP_NAME || "dailyainewsone",
-                        "Content-Type": "application/json"
-                    }
-                }
-            );
-            return res.data.choices[0].message.content;
-        },
-
-        // 3️⃣ Together AI (OpenAI-compatible)
-        async () => {
-            const togetherKey = envTrim("TOGETHER_API_KEY");
-            if (!togetherKey) {
-                throw new Error("SKIP: TOGETHER_API_KEY not set");
-            }
-            console.log("🟠 Trying Together...");
-            const res = await axios.post(
-                "https://api.together.xyz/v1/chat/completions",
-                {
-                    model: "meta-llama/Llama-3.3-70B-Instruct-Turbo",
-                    messages: [{ role: "user", content: prompt }],
-                    temperature: 0.8,
-                    max_tokens: 6000
-                },
-                {
-                    headers: {
-                        Authorization: `Bearer ${togetherKey}`,
-                        "Content-Type": "application/json"
-                    }
-                }
-            );
-            return res.data.choices[0].message.content;
-        },
-
-        // 4️⃣ Gemini Backup
-        async () => {
-            if (envBool("DISABLE_GEMINI", false)) {
-                throw new Error("SKIP: Gemini disabled (DISABLE_GEMINI=true)");
-            }
-            const geminiKey = envTrim("GEMINI_API_KEY");
-            if (!geminiKey) {
-                throw new Error("SKIP: GEMINI_API_KEY not set");
-            }
-            console.log("🟢 Trying Gemini...");
-            const genAI = new GoogleGenerativeAI(geminiKey);
-            const modelCandidates = [
-                envTrim("GEMINI_MODEL"),
-                "gemini-2.0-flash",
-                "gemini-2.0-pro",
-                "gemini-1.5-pro-latest",
-                "gemini-1.5-flash-latest",
-                "gemini-1.5-pro",
-                "gemini-1.5-flash",
-            ].filter(Boolean);
-
-            let lastErr = null;
-            for (const modelName of modelCandidates) {
-                try {
-                    const model = genAI.getGenerativeModel({
-                        model: modelName,
-                        generationConfig: {
-                            temperature: 0.8,
-                            maxOutputTokens: 6000,
-                        },
-                    });
-                    const result = await model.generateContent(prompt);
-                    return result.response.text();
-                } catch (e) {
-                    lastErr = e;
-                    const msg = e?.message || String(e);
-                    // Try the next candidate if the model name/version is wrong
-                    if (msg.includes("404") || msg.includes("not found") || msg.includes("ListModels")) {
-                        continue;
-                    }
-                    throw e;
-                }
-            }
-
-            throw lastErr || new Error("Gemini failed");
-        }
-
-    ];
-
-    for (let i = 0; i < providers.length; i++) {
-        try {
-            const output = await providers[i]();
-            console.log("✅ Success!\n");
-            return output;
-        } catch (err) {
-            const msg = err?.message || String(err);
-            if (msg.startsWith("SKIP:")) {
-                console.log(`⚪ ${msg}`);
-                continue;
-            }
-            console.log("❌ Failed:", err.response?.data || msg);
-        }
-    }
-
-    throw new Error("All AI providers failed.");
-}
-
-function isExpectedContentShape(obj) {
-    if (!obj || typeof obj !== "object") return false;
-    if (!Array.isArray(obj.posts) || obj.posts.length !== 5) return false;
-    for (let i = 0; i < obj.posts.length; i++) {
-        const p = obj.posts[i];
-        if (!p || typeof p !== "object") return false;
-        if (typeof p.id !== "number") return false;
-        if (typeof p.topic !== "string") return false;
-        if (typeof p.caption !== "string") return false;
-        if (!p.slideContent || typeof p.slideContent !== "object") return false;
-        const sc = p.slideContent;
-        if (!sc.slide1?.headline || !sc.slide1?.subtitle) return false;
-        if (!Array.isArray(sc.slide2?.lines) || sc.slide2.lines.length < 2) return false;
-        if (!Array.isArray(sc.slide3?.lines) || sc.slide3.lines.length < 2) return false;
-    }
-    return true;
-}
-
 function normalizeMaybe(obj, targetDate) {
     // Accept array-of-posts shape
     if (Array.isArray(obj)) {
@@ -485,6 +365,7 @@ function normalizeMaybe(obj, targetDate) {
     }
 
     if (obj && typeof obj === "object") {
+        if (!obj.schemaVersion) obj.schemaVersion = CONTENT_SCHEMA_VERSION;
         if (!obj.date) obj.date = targetDate;
         if (!obj.instagramHandle) obj.instagramHandle = "dailyainewsone";
         if (!obj.totalPosts && Array.isArray(obj.posts)) obj.totalPosts = obj.posts.length;
@@ -493,9 +374,13 @@ function normalizeMaybe(obj, targetDate) {
     return obj;
 }
 
-async function coerceToExpected(responseText, parsedObj, targetDate) {
+/**
+ * Return the model output as valid content, asking the providers to convert
+ * it into the schema when it is not (throws if that fails too).
+ */
+export async function coerceToExpected(responseText, parsedObj, targetDate) {
     const normalized = normalizeMaybe(parsedObj, targetDate);
-    if (isExpectedContentShape(normalized)) return normalized;
+    if (validateContent(normalized).valid) return normalized;
 
     // Second-pass repair: ask provider(s) to convert into the required schema.
     const inputJson = (() => {
@@ -520,10 +405,143 @@ async function coerceToExpected(responseText, parsedObj, targetDate) {
     }
 
     const repairedNorm = normalizeMaybe(repairedObj, targetDate);
-    if (isExpectedContentShape(repairedNorm)) return repairedNorm;
+    const { valid, errors } = validateContent(repairedNorm);
+    if (valid) return repairedNorm;
+
+    throw new Error(`Invalid JSON structure after repair:\n${formatContentErrors(errors.slice(0, 20))}`);
+}
+
+/**
+ * Every post must cite at least one of the source items we gave the model.
+ * URLs the model made up (or mangled) are dropped; a post left with none is an error.
+ */
+function checkSources(content, items) {
+    const known = new Set(items.map(i => i.url));
+    const problems = [];
+
+    for (const post of content.posts) {
+        const cited = Array.isArray(post.sources) ? post.sources : [];
+        const valid = [...new Set(cited.map(canonicalUrl).filter(u => u && known.has(u)))];
+        const dropped = cited.length - valid.length;
+
+        if (dropped > 0) {
+            console.log(`⚠️  Post ${post.id}: dropped ${dropped} source URL(s) not in today's source items`);
+        }
+        if (valid.length === 0) {
+            problems.push(`Post ${post.id} ("${post.topic}") cites no known source URL`);
+        }
+        post.sources = valid;
+    }
+
+    if (problems.length > 0) {
+        throw new Error(problems.join("\n"));
+    }
+}
+
+/**
+ * Replace posts that repeat a recent story (or another post of today) by
+ * asking for fresh posts for just those slots. Other posts are left untouched.
+ */
+async function replaceDuplicates(content, recent, sourceItems) {
+    for (let attempt = 1; attempt <= DEDUPE_MAX_ATTEMPTS; attempt++) {
+        const duplicates = findDuplicates(content.posts, recent, DEDUPE_THRESHOLD);
+        if (duplicates.length === 0) return;
+
+        for (const d of duplicates) {
+            const when = d.match.date ? `${d.match.date} post ${d.match.id}` : `today's post ${d.match.id}`;
+            console.log(`🔁 Post ${d.post.id} ("${d.post.topic}") repeats ${when} ("${d.match.topic}") — similarity ${d.score.toFixed(2)}`);
+        }
+
+        const dupIds = new Set(duplicates.map(d => d.post.id));
+        const kept = content.posts.filter(p => !dupIds.has(p.id));
+        const excluded = [...recent, ...content.posts.map(p => topicSignature(p, "today"))];
+        const example = kept[0] || content.posts[0];
+
+        const prompt = REPLACE_PROMPT
+            .replace(/\{COUNT\}/g, String(duplicates.length))
+            .replace("{EXAMPLE_POST}", JSON.stringify(example, null, 2))
+            .replace("{EXCLUDED}", formatRecentTopicsForPrompt(excluded))
+            .replace("{SOURCES}", formatSourcesForPrompt(sourceItems));
+
+        let replacements;
+        try {
+            const parsed = JSON.parse(await generateWithFallback(prompt));
+            replacements = Array.isArray(parsed) ? parsed : parsed.posts;
+        } catch (err) {
+            console.log(`⚠️  Replacement attempt ${attempt} failed: ${err.message}`);
+            continue;
+        }
+        if (!Array.isArray(replacements) || replacements.length < duplicates.length) {
+            console.log(`⚠️  Replacement attempt ${attempt} returned too few posts`);
+            continue;
+        }
+
+        const candidate = {
+            ...content,
+            posts: content.posts.map(p => {
+                const idx = duplicates.findIndex(d => d.post.id === p.id);
+                return idx === -1 ? p : { ...replacements[idx], id: p.id };
+            }),
+        };
+        const { valid, errors } = validateContent(candidate);
+        if (!valid) {
+            console.log(`⚠️  Replacement attempt ${attempt} broke the schema:\n${formatContentErrors(errors.slice(0, 5))}`);
+            continue;
+        }
 
-    const keys = repairedNorm && typeof repairedNorm === "object" ? Object.keys(repairedNorm).join(", ") : typeof repairedNorm;
-    throw new Error(`Invalid JSON structure after repair. Top-level: ${keys}`);
+        content.posts = candidate.posts;
+        console.log(`✅ Replaced ${duplicates.length} duplicate post(s)\n`);
+    }
+
+    const remaining = findDuplicates(content.posts, recent, DEDUPE_THRESHOLD);
+    if (remaining.length > 0) {
+        console.log(`⚠️  ${remaining.length} post(s) still look like repeats after ${DEDUPE_MAX_ATTEMPTS} attempt(s): ` +
+            remaining.map(d => `#${d.post.id} "${d.post.topic}"`).join(", ") + "\n");
+    }
+}
+
+/**
+ * Lint every caption; if some still break the rules after the auto-fixes,
+ * ask the model once to rewrite just those captions with the errors in the
+ * prompt, and lint again.
+ * @returns {Promise<Array<{ postId: number, errors: object[] }>>} Posts that still fail
+ */
+export async function lintCaptionsWithRetry(content) {
+    const failures = lintContentCaptions(content);
+    if (failures.length === 0) return failures;
+
+    for (const f of failures) {
+        console.log(`⚠️  Post ${f.postId} caption breaks the rules:\n${formatCaptionErrors(f.errors, "    ")}`);
+    }
+    console.log(`🔁 Asking for ${failures.length} rewritten caption(s)...`);
+
+    const byId = new Map(content.posts.map(p => [p.id, p]));
+    const prompt = CAPTION_FIX_PROMPT
+        .replace(/\{COUNT\}/g, String(failures.length))
+        .replace("{CAPTIONS}", failures.map(f => [
+            `Post ${f.postId} ("${byId.get(f.postId).topic}")`,
+            "Caption:",
+            byId.get(f.postId).caption,
+            "Errors:",
+            formatCaptionErrors(f.errors),
+        ].join("\n")).join("\n\n---\n\n"));
+
+    let rewrites;
+    try {
+        const parsed = JSON.parse(await generateWithFallback(prompt));
+        rewrites = Array.isArray(parsed) ? parsed : parsed.captions;
+    } catch (err) {
+        console.log(`⚠️  Caption rewrite failed: ${err.message}`);
+        return failures;
+    }
+
+    for (const r of Array.isArray(rewrites) ? rewrites : []) {
+        const post = byId.get(Number(r?.id));
+        if (post && failures.some(f => f.postId === post.id) && typeof r.caption === "string" && r.caption.trim()) {
+            post.caption = r.caption;
+        }
+    }
+    return lintContentCaptions(content);
 }
 
 // ==============================
@@ -535,9 +553,38 @@ async function generateContent(targetDate) {
     console.log("  AI Content Generator — @dailyainewsone");
     console.log("==============================================");
     console.log(`  Date: ${targetDate}`);
-    console.log("  Multi-provider free fallback mode\n");
+    console.log("  Multi-provider fallback mode (config/llm-providers.json)\n");
+
+    // Ground the prompt in real news items (a replay reuses that day's snapshot)
+    let sourceItems;
+    let snapshotPath;
+    if (llmCacheMode() === "replay") {
+        console.log("📰 Loading source snapshot (replay)...");
+        const snapshot = loadSourceSnapshot(targetDate);
+        if (!snapshot) {
+            console.error(`🚨 No source snapshot for ${targetDate}; replay needs sources/snapshots/${targetDate}.json.`);
+            process.exit(1);
+        }
+        sourceItems = snapshot.items || [];
+        snapshotPath = sourceSnapshotPath(targetDate);
+    } else {
+        console.log("📰 Collecting source items...");
+        ({ items: sourceItems, snapshotPath } = await collectSources(targetDate));
+    }
+    if (sourceItems.length === 0) {
+        console.error("🚨 No source items found (all feeds failed and sources/inbox/ is empty).");
+        process.exit(1);
+    }
+    console.log(`✅ ${sourceItems.length} candidate item(s) → ${path.relative(ROOT, snapshotPath)}\n`);
 
-    const prompt = CONTENT_PROMPT.replace(/\{DATE\}/g, targetDate);
+    // Recent topics become an exclusion list
+    const recent = loadRecentPosts(targetDate, DEDUPE_DAYS);
+    console.log(`🗂️  ${recent.length} post(s) from the last ${DEDUPE_DAYS} day(s) excluded\n`);
+
+    const prompt = CONTENT_PROMPT
+        .replace(/\{DATE\}/g, targetDate)
+        .replace("{SOURCES}", formatSourcesForPrompt(sourceItems))
+        .replace("{RECENT_TOPICS}", formatRecentTopicsForPrompt(recent));
 
     let responseText;
 
@@ -567,6 +614,30 @@ async function generateContent(targetDate) {
         process.exit(1);
     }
 
+    await replaceDuplicates(content, recent, sourceItems);
+
+    try {
+        checkSources(content, sourceItems);
+    } catch (err) {
+        console.error("❌ Posts are not grounded in source items.");
+        console.error(String(err?.message || err));
+        process.exit(1);
+    }
+
+    console.log("✍️  Linting captions...");
+    const captionFailures = await lintCaptionsWithRetry(content);
+    if (captionFailures.length > 0) {
+        console.error("❌ Captions break Instagram / house-style rules, even after a rewrite:");
+        for (const f of captionFailures) {
+            console.error(`  Post ${f.postId}:\n${formatCaptionErrors(f.errors, "    ")}`);
+        }
+        process.exit(1);
+    }
+    console.log("✅ Captions OK\n");
+
+    // Second model pass: verify claims against the cited sources
+    await factCheckContent(content, sourceItems);
+
     // Save
     const contentDir = path.resolve(ROOT, "content");
     if (!fs.existsSync(contentDir)) {
@@ -583,5 +654,7 @@ async function generateContent(targetDate) {
 }
 
 // Run
-const targetDate = getTargetDate();
-generateContent(targetDate);
+if (process.argv[1] === __filename) {
+    const targetDate = getTargetDate();
+    generateContent(targetDate);
+}
@@ -3,28 +3,51 @@
  *
  * Autonomous image generation pipeline for GitHub Actions:
  *   1. Loads content JSON for the target date
- *   2. Generates HTML slides via generate-slides.js logic
- *   3. Captures each slide as a 1024x1024 PNG using Puppeteer
- *   4. Saves images to images/captured/ (overwrites previous)
+ *   2. Generates HTML slides with the shared renderer (slide-renderer.js)
+ *      and hashes each one; slides whose hash matches render-manifest.json
+ *      and whose files exist are kept as they are (see render-manifest.js)
+ *   3. Captures each changed slide as a PNG at the output format's exact size
+ *      (1080x1080 by default, see slide-formats.js) using Puppeteer, shrinking
+ *      text that would overflow and failing on slides that still don't fit.
+ *      Rendering is offline: vendored fonts only, external requests blocked,
+ *      and a missing font fails the run (see slide-fonts.js). Captures run
+ *      on a pool of CAPTURE_CONCURRENCY pages (see slide-capture.js)
+ *      (plus a 1080x1920 post<N>_story.png per post for Instagram Stories)
+ *   4. Exports each PNG master as the JPEG that gets published: exact size,
+ *      sRGB, no metadata, quality lowered until it fits JPEG_MAX_BYTES
+ *      (see jpeg-export.js)
+ *   5. Saves images to images/captured/<date>/, with a mapping.json listing
+ *      each slide's PNG master, JPEG publish file and alt text
  *
  * Usage:
  *   node src/generate-images.js                     → uses latest content
  *   node src/generate-images.js --date 2026-02-25   → specific date
+ *   node src/generate-images.js --theme minimal     → force a theme for every post
+ *   node src/generate-images.js --format portrait   → 4:5 (1080x1350); also square, landscape
+ *   node src/generate-images.js --force             → re-render every slide
+ *   node src/generate-images.js --check             → exit 1 if any slide needs rendering
  *
  * Runs fully inside GitHub Actions — no local PC needed.
  */
 
-import puppeteer from 'puppeteer';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { assertValidContent } from './content-schema.js';
+import { renderSlidesDocument } from './slide-renderer.js';
+import { resolveFormat, STORY_FORMAT } from './slide-formats.js';
+import { captureSlides } from './slide-capture.js';
+import { slideAltText } from './alt-text.js';
+import { exportJpeg, JPEG_MAX_BYTES } from './jpeg-export.js';
+import { planRender, saveRenderManifest } from './render-manifest.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 const ROOT = path.resolve(__dirname, '..');
 
-function sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+// Repo-relative path with forward slashes, as stored in mapping.json
+function repoPath(filePath) {
+    return path.relative(ROOT, filePath).split(path.sep).join('/');
 }
 
 // ─── Find content JSON ───
@@ -60,260 +83,33 @@ function loadContent() {
 
     console.log(`  📄 Loading content: ${contentFile}`);
     const content = JSON.parse(fs.readFileSync(contentPath, 'utf-8'));
-    const inferredDate = targetDate || contentFile.replace(/\.json$/i, '');
-    return { content, inferredDate, contentFile };
-}
-
-// ─── Step 1: Generate HTML slides (inline from generate-slides.js) ───
-function generateSlidesHTML(content) {
-    // SVG icon library
-    const SVG_ICONS = {
-        brain: '<svg viewBox="0 0 64 64" fill="none"><circle cx="32" cy="32" r="20" stroke="#4d8dff" stroke-width="1.5" opacity="0.4"/><circle cx="32" cy="32" r="10" fill="#4d8dff" opacity="0.25"/><circle cx="32" cy="32" r="5" fill="#4d8dff"/><line x1="32" y1="6" x2="32" y2="16" stroke="#4d8dff" stroke-width="1.5"/><line x1="32" y1="48" x2="32" y2="58" stroke="#4d8dff" stroke-width="1.5"/><line x1="6" y1="32" x2="16" y2="32" stroke="#4d8dff" stroke-width="1.5"/><line x1="48" y1="32" x2="58" y2="32" stroke="#4d8dff" stroke-width="1.5"/></svg>',
-        chip: '<svg viewBox="0 0 64 64" fill="none"><rect x="12" y="12" width="40" height="40" rx="4" stroke="#4d8dff" stroke-width="1.5" opacity="0.4"/><rect x="22" y="22" width="20" height="20" rx="2" fill="#4d8dff" opacity="0.25"/><rect x="28" y="28" width="8" height="8" rx="1" fill="#4d8dff"/><line x1="32" y1="4" x2="32" y2="12" stroke="#4d8dff" stroke-width="1.5"/><line x1="32" y1="52" x2="32" y2="60" stroke="#4d8dff" stroke-width="1.5"/><line x1="4" y1="32" x2="12" y2="32" stroke="#4d8dff" stroke-width="1.5"/><line x1="52" y1="32" x2="60" y2="32" stroke="#4d8dff" stroke-width="1.5"/></svg>',
-        shield: '<svg viewBox="0 0 64 64" fill="none"><path d="M32 6L10 20V48L32 58L54 48V20L32 6Z" stroke="#4d8dff" stroke-width="1.5" opacity="0.4"/><path d="M32 18L42 24V36L32 42L22 36V24L32 18Z" fill="#4d8dff" opacity="0.25"/><path d="M32 26L36 28V34L32 36L28 34V28L32 26Z" fill="#4d8dff"/></svg>',
-        network: '<svg viewBox="0 0 64 64" fill="none"><circle cx="32" cy="20" r="14" stroke="#4d8dff" stroke-width="1.5" opacity="0.4"/><circle cx="32" cy="20" r="7" fill="#4d8dff" opacity="0.25"/><circle cx="32" cy="20" r="3" fill="#4d8dff"/><line x1="24" y1="34" x2="18" y2="56" stroke="#4d8dff" stroke-width="1.5" opacity="0.5"/><line x1="40" y1="34" x2="46" y2="56" stroke="#4d8dff" stroke-width="1.5" opacity="0.5"/><line x1="32" y1="34" x2="32" y2="58" stroke="#4d8dff" stroke-width="1.5"/></svg>',
-        globe: '<svg viewBox="0 0 64 64" fill="none"><circle cx="32" cy="32" r="22" stroke="#4d8dff" stroke-width="1.5" opacity="0.4"/><ellipse cx="32" cy="32" rx="12" ry="22" stroke="#4d8dff" stroke-width="1" opacity="0.3"/><line x1="10" y1="32" x2="54" y2="32" stroke="#4d8dff" stroke-width="1" opacity="0.3"/><circle cx="32" cy="32" r="8" fill="#4d8dff" opacity="0.2"/><circle cx="32" cy="32" r="3" fill="#4d8dff"/></svg>',
-        code: '<svg viewBox="0 0 64 64" fill="none"><rect x="8" y="14" width="48" height="36" rx="4" stroke="#4d8dff" stroke-width="1.5" opacity="0.4"/><text x="20" y="38" fill="#4d8dff" font-size="16" font-family="monospace" opacity="0.8">&lt;/&gt;</text></svg>',
-        atom: '<svg viewBox="0 0 64 64" fill="none"><ellipse cx="32" cy="32" rx="24" ry="10" stroke="#4d8dff" stroke-width="1.5" opacity="0.3" transform="rotate(0 32 32)"/><ellipse cx="32" cy="32" rx="24" ry="10" stroke="#4d8dff" stroke-width="1.5" opacity="0.3" transform="rotate(60 32 32)"/><ellipse cx="32" cy="32" rx="24" ry="10" stroke="#4d8dff" stroke-width="1.5" opacity="0.3" transform="rotate(120 32 32)"/><circle cx="32" cy="32" r="4" fill="#4d8dff"/></svg>',
-        rocket: '<svg viewBox="0 0 64 64" fill="none"><path d="M32 8C32 8 44 20 44 36C44 44 38 52 32 56C26 52 20 44 20 36C20 20 32 8 32 8Z" stroke="#4d8dff" stroke-width="1.5" opacity="0.4"/><circle cx="32" cy="32" r="6" fill="#4d8dff" opacity="0.25"/><circle cx="32" cy="32" r="3" fill="#4d8dff"/></svg>',
-        database: '<svg viewBox="0 0 64 64" fill="none"><ellipse cx="32" cy="18" rx="20" ry="8" stroke="#4d8dff" stroke-width="1.5" opacity="0.4"/><path d="M12 18V46C12 50.4 20.9 54 32 54C43.1 54 52 50.4 52 46V18" stroke="#4d8dff" stroke-width="1.5" opacity="0.4"/><ellipse cx="32" cy="32" rx="20" ry="8" stroke="#4d8dff" stroke-width="1" opacity="0.2"/><ellipse cx="32" cy="18" rx="10" ry="4" fill="#4d8dff" opacity="0.25"/></svg>',
-        lock: '<svg viewBox="0 0 64 64" fill="none"><path d="M32 6L10 20V48L32 58L54 48V20L32 6Z" stroke="#4d8dff" stroke-width="1.5" opacity="0.3"/><path d="M32 16L18 24V40L32 48L46 40V24L32 16Z" stroke="#4d8dff" stroke-width="1.5" opacity="0.5"/><rect x="26" y="24" width="12" height="14" rx="2" fill="#4d8dff" opacity="0.25"/><rect x="29" y="30" width="6" height="8" rx="1" fill="#4d8dff"/></svg>',
-    };
-
-    function getIcon(name) {
-        return SVG_ICONS[name] || SVG_ICONS.brain;
-    }
-
-    function findGlowWord(headline) {
-        const skip = ['the', 'a', 'an', 'is', 'are', 'was', 'its', 'it', 'to', 'for', 'and', 'or', 'in', 'on', 'of', 'at', 'by', 'this', 'that', 'now', 'just', 'will', 'can', 'has', 'had', 'not', 'but', 'with', 'from', 'as', 'be', 'do'];
-        const words = headline.split(' ');
-        for (const w of words) {
-            if (/^\$?\d/.test(w)) return w;
-        }
-        const candidates = words.filter(w => !skip.includes(w.toLowerCase()) && w.length > 3);
-        return candidates.length > 0 ? candidates[Math.floor(candidates.length / 2)] : words[2] || words[0];
-    }
-
-    function generateSlideHTML(post, postNum) {
-        const sc = post.slideContent;
-        if (!sc || !sc.slide1 || !sc.slide2 || !sc.slide3) {
-            throw new Error(
-                `Content JSON is missing slideContent for post ${postNum}. ` +
-                `Regenerate content using the updated generator (node src/generate-content.js --date <YYYY-MM-DD>).`
-            );
-        }
-        const totalSlides = post.slides || (sc.slide4 ? 4 : 3);
-        const icon = getIcon(post.svgIcon || 'brain');
-        const glowWord = findGlowWord(sc.slide1.headline);
-        const headlineHtml = sc.slide1.headline.replace(glowWord, `<span class="g">${glowWord}</span>`);
-
-        let slides = '';
-
-        // Slide 1: Cover
-        slides += `
-  <div class="slide" id="p${postNum}s1">
-    <div class="grid"></div><div class="blob1"></div><div class="blob2"></div>
-    <div class="content cover">
-      <div class="cover-icon">${icon}</div>
-      <h1>${headlineHtml}</h1>
-      <div class="sub">${sc.slide1.subtitle}</div>
-    </div>
-    <div class="glow-border"></div><div class="glow-left"></div><div class="glow-right"></div>
-    <div class="corner-tl"></div><div class="corner-br"></div>
-    <div class="bottom-bar"><span>@dailyainewsone</span><span>1/${totalSlides}</span></div>
-  </div>`;
-
-        // Slide 2
-        const s2lines = sc.slide2.lines.map(l => l).join('<br><br>');
-        slides += `
-  <div class="slide" id="p${postNum}s2">
-    <div class="grid"></div><div class="blob1"></div><div class="blob2"></div>
-    <div class="content body">
-      <div class="label">${sc.slide2.title.toUpperCase()}</div>
-      <div class="text">${s2lines}</div>
-    </div>
-    <div class="glow-border"></div><div class="glow-left"></div><div class="glow-right"></div>
-    <div class="corner-tl"></div><div class="corner-br"></div>
-    <div class="bottom-bar"><span>@dailyainewsone</span><span>2/${totalSlides}</span></div>
-  </div>`;
-
-        // Slide 3
-        const s3lines = sc.slide3.lines.map(l => l).join('<br><br>');
-        slides += `
-  <div class="slide" id="p${postNum}s3">
-    <div class="grid"></div><div class="blob1"></div><div class="blob2"></div>
-    <div class="content body">
-      <div class="label">${sc.slide3.title.toUpperCase()}</div>
-      <div class="text">${s3lines}</div>
-    </div>
-    <div class="glow-border"></div><div class="glow-left"></div><div class="glow-right"></div>
-    <div class="corner-tl"></div><div class="corner-br"></div>
-    <div class="bottom-bar"><span>@dailyainewsone</span><span>3/${totalSlides}</span></div>
-  </div>`;
-
-        // Slide 4 (optional)
-        if (totalSlides >= 4 && sc.slide4) {
-            const bulletsHtml = sc.slide4.bullets.map(b => `<div class="bi">${b}</div>`).join('\n        ');
-            slides += `
-  <div class="slide" id="p${postNum}s4">
-    <div class="grid"></div><div class="blob1"></div><div class="blob2"></div>
-    <div class="content body">
-      <div class="label purple">${sc.slide4.title.toUpperCase()}</div>
-      <div class="bullets">
-        ${bulletsHtml}
-      </div>
-    </div>
-    <div class="glow-border"></div><div class="glow-left"></div><div class="glow-right"></div>
-    <div class="corner-tl"></div><div class="corner-br"></div>
-    <div class="bottom-bar"><span>@dailyainewsone</span><span>4/${totalSlides}</span></div>
-  </div>`;
-        }
-
-        return slides;
-    }
-
-    const postSections = content.posts.map((post) => {
-        const postNum = post.id;
-        const slideHtml = generateSlideHTML(post, postNum);
-        return `
-<!-- ========== POST ${postNum}: ${post.topic.toUpperCase()} ========== -->
-<div class="post-label">POST ${postNum} — ${post.topic.toUpperCase()}</div>
-<div class="slide-row">
-${slideHtml}
-</div>
-
-<hr>`;
-    }).join('\n');
-
-    return `<!DOCTYPE html>
-<html lang="en">
-<head>
-<meta charset="UTF-8">
-<title>Daily AI News Slides — ${content.date}</title>
-<link href="https://fonts.googleapis.com/css2?family=Inter:wght@400;600;700;900&display=swap" rel="stylesheet">
-<style>
-  * { margin: 0; padding: 0; box-sizing: border-box; }
-  body {
-    background: #050810;
-    font-family: 'Inter', sans-serif;
-    display: flex;
-    flex-direction: column;
-    align-items: center;
-    padding: 40px;
-    gap: 60px;
-  }
-  .post-label { font-size: 16px; font-weight: 700; color: #4d8dff; letter-spacing: 4px; text-transform: uppercase; text-align: center; margin-bottom: -30px; }
-  .slide-row { display: flex; gap: 30px; flex-wrap: wrap; justify-content: center; }
-  .slide { width: 512px; height: 512px; position: relative; overflow: hidden; flex-shrink: 0; background: linear-gradient(135deg, #080c18 0%, #0d1225 40%, #10162d 100%); }
-  .grid { position: absolute; top: 0; left: 0; right: 0; bottom: 0; background-image: linear-gradient(rgba(77,141,255,0.06) 1px, transparent 1px), linear-gradient(90deg, rgba(77,141,255,0.06) 1px, transparent 1px); background-size: 32px 32px; z-index: 1; }
-  .glow-border { position: absolute; top: 0; left: 0; right: 0; bottom: 0; border: 1.5px solid rgba(77,141,255,0.12); z-index: 5; pointer-events: none; }
-  .glow-border::before { content: ''; position: absolute; top: -1px; left: 15%; right: 15%; height: 2px; background: linear-gradient(90deg, transparent, #4d8dff, #a855f7, transparent); filter: blur(1px); }
-  .glow-border::after { content: ''; position: absolute; bottom: -1px; left: 15%; right: 15%; height: 2px; background: linear-gradient(90deg, transparent, #a855f7, #4d8dff, transparent); filter: blur(1px); }
-  .glow-left { position: absolute; top: 15%; bottom: 15%; left: -1px; width: 2px; background: linear-gradient(180deg, transparent, #4d8dff, transparent); filter: blur(1px); z-index: 5; }
-  .glow-right { position: absolute; top: 15%; bottom: 15%; right: -1px; width: 2px; background: linear-gradient(180deg, transparent, #a855f7, transparent); filter: blur(1px); z-index: 5; }
-  .corner-tl { position: absolute; top: 16px; left: 16px; width: 48px; height: 48px; border-top: 1.5px solid rgba(77,141,255,0.25); border-left: 1.5px solid rgba(77,141,255,0.25); z-index: 4; }
-  .corner-tl::after { content: ''; position: absolute; top: -3px; left: -3px; width: 6px; height: 6px; background: #4d8dff; border-radius: 50%; box-shadow: 0 0 10px #4d8dff; }
-  .corner-br { position: absolute; bottom: 16px; right: 16px; width: 48px; height: 48px; border-bottom: 1.5px solid rgba(168,85,247,0.25); border-right: 1.5px solid rgba(168,85,247,0.25); z-index: 4; }
-  .corner-br::after { content: ''; position: absolute; bottom: -3px; right: -3px; width: 6px; height: 6px; background: #a855f7; border-radius: 50%; box-shadow: 0 0 10px #a855f7; }
-  .blob1 { position: absolute; width: 250px; height: 250px; background: radial-gradient(circle, rgba(77,141,255,0.12) 0%, transparent 70%); top: -80px; right: -60px; z-index: 1; }
-  .blob2 { position: absolute; width: 200px; height: 200px; background: radial-gradient(circle, rgba(168,85,247,0.08) 0%, transparent 70%); bottom: -60px; left: -40px; z-index: 1; }
-  .content { position: relative; z-index: 3; width: 100%; height: 100%; display: flex; flex-direction: column; justify-content: center; padding: 52px; }
-  .bottom-bar { position: absolute; bottom: 20px; left: 52px; right: 52px; display: flex; justify-content: space-between; z-index: 6; font-size: 11px; font-weight: 600; color: rgba(148,163,184,0.5); }
-  .content.cover { text-align: center; align-items: center; }
-  .cover-icon { margin-bottom: 24px; }
-  .cover-icon svg { width: 44px; height: 44px; filter: drop-shadow(0 0 14px rgba(77,141,255,0.6)); }
-  .cover h1 { font-size: 32px; font-weight: 900; line-height: 1.15; letter-spacing: -0.5px; color: #fff; margin-bottom: 14px; }
-  .cover h1 .g { color: #4d8dff; text-shadow: 0 0 25px rgba(77,141,255,0.5); }
-  .cover .sub { font-size: 14px; color: #94a3b8; }
-  .content.body { text-align: left; }
-  .label { font-size: 11px; font-weight: 700; letter-spacing: 3px; text-transform: uppercase; color: #4d8dff; margin-bottom: 26px; }
-  .label.purple { color: #a855f7; }
-  .text { font-size: 15px; font-weight: 400; line-height: 1.8; color: #cbd5e1; }
-  .bullets { text-align: left; }
-  .bi { font-size: 13px; line-height: 1.45; color: #cbd5e1; margin-bottom: 14px; padding-left: 22px; position: relative; }
-  .bi::before { content: ''; position: absolute; left: 0; top: 6px; width: 10px; height: 10px; background: #4d8dff; border-radius: 50%; box-shadow: 0 0 10px rgba(77,141,255,0.6); }
-  hr { border: none; border-top: 1px solid rgba(77,141,255,0.1); width: 400px; margin: 20px 0; }
-</style>
-</head>
-<body>
-
-${postSections}
-
-</body>
-</html>`;
-}
-
-// ─── Step 2: Capture screenshots with Puppeteer ───
-async function captureSlides(htmlPath, outputDir) {
-    console.log('\n📸 Capturing slides with Puppeteer...');
-    console.log('━'.repeat(40));
-
-    const browser = await puppeteer.launch({
-        headless: true,
-        args: ['--no-sandbox', '--disable-setuid-sandbox', '--disable-dev-shm-usage'],
-    });
-
-    const page = await browser.newPage();
-    await page.setViewport({ width: 1200, height: 900, deviceScaleFactor: 2 });
-
-    await page.goto(`file:///${htmlPath.replace(/\\/g, '/')}`, {
-        waitUntil: 'networkidle0',
-        timeout: 30000,
-    });
-
-    // Wait for fonts
-    await page.evaluate(() => document.fonts.ready);
-    await sleep(2000);
-
-    const slideElements = await page.$$('.slide');
-    console.log(`  Found ${slideElements.length} slides to capture.\n`);
-
-    const capturedByPost = {};
-
-    for (let i = 0; i < slideElements.length; i++) {
-        const slide = slideElements[i];
-        const slideId = await slide.evaluate(el => el.id);
-
-        const match = slideId.match(/p(\d+)s(\d+)/);
-        if (!match) continue;
-
-        const postNum = parseInt(match[1]);
-        const slideNum = parseInt(match[2]);
-        const filename = `post${postNum}_slide${slideNum}.png`;
-        const outputPath = path.resolve(outputDir, filename);
-
-        await slide.screenshot({ path: outputPath, type: 'png' });
-
-        if (!capturedByPost[postNum]) capturedByPost[postNum] = [];
-        capturedByPost[postNum].push({
-            slideNum,
-            filename,
-            absolutePath: outputPath,
-            relativePath: `images/captured/${filename}`,
-        });
-
-        console.log(`  ✅ Post ${postNum}, Slide ${slideNum} → ${filename}`);
-    }
-
-    await browser.close();
-
-    // Sort slides within each post
-    for (const key of Object.keys(capturedByPost)) {
-        capturedByPost[key].sort((a, b) => a.slideNum - b.slideNum);
+    try {
+        assertValidContent(content, contentFile);
+    } catch (err) {
+        console.error(`\n❌ ${err.message}\n`);
+        process.exit(1);
     }
-
-    console.log(`\n  🎉 Captured ${slideElements.length} slides total.\n`);
-    return capturedByPost;
+    const inferredDate = targetDate || contentFile.replace(/\.json$/i, '');
+    const themeIdx = args.indexOf('--theme');
+    const theme = themeIdx !== -1 ? args[themeIdx + 1] : undefined;
+    const formatIdx = args.indexOf('--format');
+    const format = formatIdx !== -1 ? args[formatIdx + 1] : undefined;
+    return { content, inferredDate, contentFile, theme, format };
 }
 
 // ─── MAIN ───
 async function main() {
+    const args = process.argv.slice(2);
+    const checkOnly = args.includes('--check');
+    const force = args.includes('--force');
+
     console.log('\n╔══════════════════════════════════════════════╗');
     console.log('║   🖼️  Image Generator — @dailyainewsone      ║');
     console.log('╚══════════════════════════════════════════════╝\n');
 
     // Step 1: Load content
-    const { content, inferredDate, contentFile } = loadContent();
+    const { content, inferredDate, contentFile, theme, format: formatArg } = loadContent();
+    const format = resolveFormat(formatArg);
     const dateTag = inferredDate || content.date;
     if (!dateTag) {
         console.error('Could not determine target date for images folder.');
@@ -321,11 +117,31 @@ async function main() {
     }
     console.log(`  📅 Date: ${content.date || dateTag}`);
     console.log(`  🧾 Source: ${contentFile}`);
-    console.log(`  📊 Posts: ${content.posts.length}\n`);
+    console.log(`  📊 Posts: ${content.posts.length}`);
+    console.log(`  📐 Format: ${format.name} ${format.ratio} (${format.width}x${format.height})\n`);
+
+    // Store images under a date folder to avoid reusing/caching old URLs
+    const outputDir = path.resolve(ROOT, 'images', 'captured', dateTag);
+    const mappingPath = path.resolve(outputDir, 'mapping.json');
+
+    // Which slides changed since the last render (see render-manifest.js)
+    const plan = planRender(content, outputDir, { theme, format: format.name });
+    const stale = force || !fs.existsSync(mappingPath) ? plan.slides : plan.stale;
+    console.log(`  🧮 ${stale.length} of ${plan.slides.length} slides need rendering${force ? ' (--force)' : ''}.`);
+
+    if (checkOnly) {
+        stale.forEach(s => console.log(`     • ${s.filename}`));
+        if (stale.length > 0 || plan.obsolete.length > 0) {
+            console.log(`\n  ❌ Images for ${dateTag} are out of date.\n`);
+            process.exit(1);
+        }
+        console.log(`\n  ✅ Images for ${dateTag} are up to date.\n`);
+        return;
+    }
 
     // Step 2: Generate HTML
     console.log('  🎨 Generating slide HTML...');
-    const html = generateSlidesHTML(content);
+    const html = renderSlidesDocument(content, { theme, format: format.name });
 
     const slidesDir = path.resolve(ROOT, 'slides');
     if (!fs.existsSync(slidesDir)) {
@@ -336,29 +152,51 @@ async function main() {
     fs.writeFileSync(htmlPath, html);
     console.log(`  ✅ HTML saved: ${htmlPath}`);
 
-    // Step 3: Capture screenshots
-    // Store images under a date folder to avoid reusing/caching old URLs
-    const outputDir = path.resolve(ROOT, 'images', 'captured', dateTag);
+    // Step 3: Capture screenshots of changed slides only
     if (!fs.existsSync(outputDir)) {
         fs.mkdirSync(outputDir, { recursive: true });
     }
 
-    // Clear old captured images
-    const oldFiles = fs.readdirSync(outputDir).filter(f => f.endsWith('.png'));
+    // Drop files of changed slides and of slides that no longer exist
+    const oldFiles = [
+        ...stale.flatMap(s => [s.pngPath, s.jpegPath]).filter(f => fs.existsSync(f)),
+        ...plan.obsolete.map(f => path.resolve(outputDir, f)),
+    ];
     for (const f of oldFiles) {
-        fs.unlinkSync(path.resolve(outputDir, f));
+        fs.unlinkSync(f);
     }
     console.log(`  🗑️  Cleared ${oldFiles.length} old images.`);
 
-    const capturedByPost = await captureSlides(htmlPath, outputDir);
+    const exports = {};
+    if (stale.length > 0) {
+        await captureSlides(htmlPath, outputDir, format, { ids: stale.map(s => s.id) });
 
-    // Save mapping file
+        // Step 4: Export the JPEGs that get published
+        console.log(`  🗜️  Exporting JPEGs (budget ${Math.round(JPEG_MAX_BYTES / 1024)} KB each)...`);
+        for (const s of stale) {
+            const result = await exportJpeg(s.pngPath, s.slideNum === null ? STORY_FORMAT : format);
+            exports[s.id] = { quality: result.quality, bytes: result.bytes };
+            console.log(`  ✅ ${path.basename(result.jpegPath)}: quality ${result.quality}, ${Math.round(result.bytes / 1024)} KB`);
+        }
+    } else {
+        console.log('  ♻️  Every slide is up to date, nothing to capture.');
+    }
+
+    // Step 5: Manifest, mapping and meta for every slide (re-rendered or not)
+    saveRenderManifest(outputDir, plan.slides, exports);
+
+    // Save mapping file: each slide's PNG master, JPEG publish file and alt text
+    const carousel = plan.slides.filter(s => s.slideNum !== null);
     const mapping = {};
-    for (const [postNum, slides] of Object.entries(capturedByPost)) {
-        mapping[postNum] = slides.map(s => s.relativePath);
+    for (const post of content.posts) {
+        const altText = slideAltText(post);
+        mapping[post.id] = carousel.filter(s => s.postNum === post.id).map(s => ({
+            master: repoPath(s.pngPath),
+            publish: repoPath(s.jpegPath),
+            altText: altText[s.slideNum - 1] || null,
+        }));
     }
 
-    const mappingPath = path.resolve(outputDir, 'mapping.json');
     fs.writeFileSync(mappingPath, JSON.stringify(mapping, null, 2));
     console.log(`  📋 Mapping saved: ${mappingPath}`);
 
@@ -368,12 +206,13 @@ async function main() {
         date: dateTag,
         sourceContentFile: contentFile,
         generatedAt: new Date().toISOString(),
-        totalSlides: Object.values(capturedByPost).flat().length,
+        totalSlides: carousel.length,
+        format: { name: format.name, ratio: format.ratio, width: format.width, height: format.height },
+        jpegMaxBytes: JPEG_MAX_BYTES,
     }, null, 2));
 
-    const totalSlides = Object.values(capturedByPost).flat().length;
     console.log(`\n╔══════════════════════════════════════════════╗`);
-    console.log(`║   ✅ ${totalSlides} images generated successfully!      ║`);
+    console.log(`║   ✅ ${stale.length} of ${plan.slides.length} images rendered successfully!   ║`);
     console.log(`╚══════════════════════════════════════════════╝\n`);
 }
 
@@ -0,0 +1,220 @@
+/**
+ * graph-client.js
+ *
+ * Shared request layer for the Instagram Graph API. Every call goes through
+ * graphRequest(), which:
+ *   - classifies Graph API errors (transient / rate-limit / auth / media / permanent)
+ *   - retries transient and rate-limit errors with exponential backoff + jitter
+ *   - reads the X-App-Usage / X-Business-Use-Case-Usage headers and pauses
+ *     before the next call when we're close to the limit
+ *   - fails fast with an actionable message for auth and media-format errors
+ */
+
+import fetch from 'node-fetch';
+import { config } from './config.js';
+
+export const ERROR_KINDS = {
+    TRANSIENT: 'transient',
+    RATE_LIMIT: 'rate_limit',
+    AUTH: 'auth',
+    MEDIA: 'media',
+    PERMANENT: 'permanent',
+};
+
+// https://developers.facebook.com/docs/graph-api/guides/error-handling
+const RATE_LIMIT_CODES = [4, 17, 32, 613];
+const AUTH_CODES = [190, 102, 463, 467];
+const TRANSIENT_CODES = [1, 2];
+// Media the Instagram backend could not fetch or accept (error_subcode 2207xxx)
+const MEDIA_CODES = [9004, 36000, 36001, 36003, 36004, 352];
+const TRANSIENT_MEDIA_SUBCODES = [2207001, 2207003, 2207008];
+
+/**
+ * Error thrown for any failed Graph API call. `kind` is one of ERROR_KINDS.
+ */
+export class GraphApiError extends Error {
+    constructor(message, { kind, code = null, subcode = null, httpStatus = null, fbtraceId = null } = {}) {
+        super(message);
+        this.name = 'GraphApiError';
+        this.kind = kind;
+        this.code = code;
+        this.subcode = subcode;
+        this.httpStatus = httpStatus;
+        this.fbtraceId = fbtraceId;
+    }
+
+    get retryable() {
+        return this.kind === ERROR_KINDS.TRANSIENT || this.kind === ERROR_KINDS.RATE_LIMIT;
+    }
+}
+
+/**
+ * Map a Graph API `error` object (plus HTTP status) to an error kind.
+ */
+export function classifyError(error, httpStatus = null) {
+    const code = Number(error?.code);
+    const subcode = Number(error?.error_subcode);
+
+    if (AUTH_CODES.includes(code)) return ERROR_KINDS.AUTH;
+    if (RATE_LIMIT_CODES.includes(code) || httpStatus === 429) return ERROR_KINDS.RATE_LIMIT;
+    if (TRANSIENT_MEDIA_SUBCODES.includes(subcode)) return ERROR_KINDS.TRANSIENT;
+    if (MEDIA_CODES.includes(code) || String(subcode).startsWith('2207')) return ERROR_KINDS.MEDIA;
+    if (error?.is_transient || TRANSIENT_CODES.includes(code) || (httpStatus && httpStatus >= 500)) {
+        return ERROR_KINDS.TRANSIENT;
+    }
+    return ERROR_KINDS.PERMANENT;
+}
+
+function describeError(kind, label, error) {
+    const base = `${label}: ${error?.message || 'Unknown Graph API error'}` +
+        (error?.code ? ` (code ${error.code}${error.error_subcode ? `/${error.error_subcode}` : ''})` : '');
+
+    if (kind === ERROR_KINDS.AUTH) {
+        return `${base}\n` +
+            '  → The access token is invalid, expired or missing a permission.\n' +
+            '  → Run "node src/test-token.js" and update INSTAGRAM_ACCESS_TOKEN (.env / GitHub secret).';
+    }
+    if (kind === ERROR_KINDS.MEDIA) {
+        return `${base}\n` +
+            '  → Instagram could not fetch or accept the media. Check that the URL is public,\n' +
+            '    the file is JPEG/PNG under 8 MB and the aspect ratio is between 4:5 and 1.91:1.';
+    }
+    if (kind === ERROR_KINDS.RATE_LIMIT) {
+        return `${base}\n  → Rate limit reached; retries exhausted. Try again later.`;
+    }
+    return base;
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Earliest time the next request may be sent (set when usage headers say we're near the limit)
+let pausedUntil = 0;
+
+/**
+ * Parse the usage headers into the highest usage percentage and the
+ * time (ms) Meta says we must wait to regain access, if any.
+ */
+export function parseUsageHeaders(headers) {
+    let maxPercent = 0;
+    let regainMs = 0;
+
+    for (const name of ['x-app-usage', 'x-business-use-case-usage', 'x-ad-account-usage']) {
+        const raw = headers.get(name);
+        if (!raw) continue;
+
+        let parsed;
+        try {
+            parsed = JSON.parse(raw);
+        } catch {
+            continue;
+        }
+
+        // X-Business-Use-Case-Usage is { "<id>": [ { call_count, ..., estimated_time_to_regain_access } ] }
+        const buckets = name === 'x-business-use-case-usage'
+            ? Object.values(parsed).flat()
+            : [parsed];
+
+        for (const b of buckets) {
+            for (const key of ['call_count', 'total_cputime', 'total_time', 'acc_id_util_pct']) {
+                if (typeof b?.[key] === 'number') maxPercent = Math.max(maxPercent, b[key]);
+            }
+            if (typeof b?.estimated_time_to_regain_access === 'number') {
+                regainMs = Math.max(regainMs, b.estimated_time_to_regain_access * 60 * 1000);
+            }
+        }
+    }
+
+    return { maxPercent, regainMs };
+}
+
+function backoffDelay(attempt) {
+    const { baseDelayMs, maxDelayMs } = config.instagram.retry;
+    const exp = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+    // Equal jitter: random point between half and the full exponential delay
+    return Math.round(exp / 2 + Math.random() * (exp / 2));
+}
+
+/**
+ * Make a Graph API request.
+ * @param {'GET'|'POST'} method
+ * @param {string} endpoint - Path relative to graphApiBase, e.g. "me" or "123/media"
+ * @param {object} [params] - Query (GET) or form body (POST) parameters; access_token is added
+ * @param {object} [options]
+ * @param {string} [options.label] - Human-readable action name for error messages
+ * @param {string} [options.baseUrl] - Override the API base (defaults to config.instagram.graphApiBase)
+ * @param {string} [options.accessToken] - Override the token (e.g. an app token for debug_token)
+ * @param {number} [options.maxRetries] - Override config.instagram.retry.maxRetries; 0 for
+ *   calls that are not safe to repeat (media_publish)
+ * @returns {Promise<object>} Parsed JSON response
+ */
+export async function graphRequest(method, endpoint, params = {}, options = {}) {
+    const {
+        label = `${method} ${endpoint}`,
+        baseUrl = config.instagram.graphApiBase,
+        accessToken = config.instagram.accessToken,
+        maxRetries = config.instagram.retry.maxRetries,
+    } = options;
+    const { usagePauseThreshold } = config.instagram.retry;
+
+    const query = new URLSearchParams({ ...params, access_token: accessToken });
+    const url = `${baseUrl}/${endpoint}`;
+
+    for (let attempt = 0; ; attempt++) {
+        const waitMs = pausedUntil - Date.now();
+        if (waitMs > 0) {
+            console.log(`  ⏸️  API usage near limit — pausing ${Math.ceil(waitMs / 1000)}s`);
+            await sleep(waitMs);
+        }
+
+        let res;
+        let data;
+        try {
+            res = method === 'GET'
+                ? await fetch(`${url}?${query}`)
+                : await fetch(url, { method, body: query });
+            data = await res.json();
+        } catch (err) {
+            // Network failure or non-JSON body (proxy error page) — treat as transient
+            const httpStatus = res?.status ?? null;
+            const failure = new GraphApiError(`${label}: ${err.message}`, {
+                kind: ERROR_KINDS.TRANSIENT,
+                httpStatus,
+            });
+            if (attempt >= maxRetries) throw failure;
+            const delay = backoffDelay(attempt);
+            console.log(`  🔁 ${label} failed (${err.message}), retrying in ${Math.ceil(delay / 1000)}s...`);
+            await sleep(delay);
+            continue;
+        }
+
+        const usage = parseUsageHeaders(res.headers);
+        if (usage.maxPercent >= usagePauseThreshold) {
+            pausedUntil = Date.now() + Math.max(usage.regainMs, backoffDelay(attempt + 2));
+        }
+
+        if (!data?.error) {
+            return data;
+        }
+
+        const kind = classifyError(data.error, res.status);
+        const failure = new GraphApiError(describeError(kind, label, data.error), {
+            kind,
+            code: data.error.code ?? null,
+            subcode: data.error.error_subcode ?? null,
+            httpStatus: res.status,
+            fbtraceId: data.error.fbtrace_id ?? null,
+        });
+
+        if (!failure.retryable || attempt >= maxRetries) {
+            throw failure;
+        }
+
+        const delay = kind === ERROR_KINDS.RATE_LIMIT
+            ? Math.max(usage.regainMs, backoffDelay(attempt + 3))
+            : backoffDelay(attempt);
+        console.log(`  🔁 ${label}: ${kind} error (code ${data.error.code}), retry ${attempt + 1}/${maxRetries} in ${Math.ceil(delay / 1000)}s...`);
+        await sleep(delay);
+    }
+}
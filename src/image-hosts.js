@@ -0,0 +1,186 @@
+/**
+ * image-hosts.js
+ *
+ * Where published media (slide PNGs, Story cards, Reel MP4s) is served from.
+ * Instagram fetches every image/video from a public URL, so before posting
+ * each file is handed to the configured host, which uploads it if needed and
+ * returns that URL.
+ *
+ * Hosts are declared in config/image-hosts.json (or the file named by
+ * IMAGE_HOSTS_FILE); "${VAR:-fallback}" values are read from the environment.
+ * IMAGE_HOST picks one (default "github").
+ *
+ * Supported types:
+ *   - "github-raw" → raw.githubusercontent.com URL of the file in this repo;
+ *                    nothing is uploaded, the workflow must have pushed it
+ *   - "s3"         → PutObject into any S3-compatible bucket (AWS, R2, MinIO);
+ *                    URL from publicBaseUrl, else endpoint/bucket/key
+ *   - "static"     → copy into a directory served by your own web server
+ *                    (skipped when "dir" is empty) and use baseUrl/key
+ *
+ * Keys are the file's path relative to the repo root, e.g.
+ * images/captured/2026-02-25/post1_slide1.png, under the host's prefix.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { envTrim, expandEnv } from './env.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const ROOT = path.resolve(__dirname, '..');
+
+const DEFAULT_HOSTS_FILE = path.resolve(ROOT, 'config', 'image-hosts.json');
+
+const CONTENT_TYPES = {
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.mp4': 'video/mp4',
+};
+
+function expandAll(value) {
+    if (typeof value === 'string') return expandEnv(value);
+    if (Array.isArray(value)) return value.map(expandAll);
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, expandAll(v)]));
+    }
+    return value;
+}
+
+function joinUrl(base, key) {
+    return `${base.replace(/\/+$/, '')}/${key.split('/').map(encodeURIComponent).join('/')}`;
+}
+
+function requireFields(host, fields) {
+    const missing = fields.filter(f => !host[f]);
+    if (missing.length > 0) {
+        throw new Error(`Image host "${host.name}" (${host.type}) is missing: ${missing.join(', ')}`);
+    }
+}
+
+/**
+ * Repo-relative key for a file (forward slashes on every OS).
+ */
+export function keyForFile(filePath) {
+    return path.relative(ROOT, path.resolve(filePath)).split(path.sep).join('/');
+}
+
+// ─── Host types ───
+
+function githubRawHost(host) {
+    requireFields(host, ['baseUrl']);
+    return {
+        uploads: false,
+        urlFor: key => joinUrl(host.baseUrl, key),
+        async publish(filePath, key) {
+            return joinUrl(host.baseUrl, key);
+        },
+    };
+}
+
+function s3Host(host) {
+    requireFields(host, ['bucket']);
+    const prefix = host.prefix ? `${host.prefix.replace(/\/+$/, '')}/` : '';
+    const publicBase = host.publicBaseUrl
+        || (host.endpoint
+            ? `${host.endpoint.replace(/\/+$/, '')}/${host.bucket}`
+            : `https://${host.bucket}.s3.${host.region}.amazonaws.com`);
+
+    let client = null;
+    async function getClient() {
+        if (client) return client;
+        const { S3Client } = await import('@aws-sdk/client-s3');
+        const accessKeyId = envTrim(host.accessKeyIdEnv);
+        const secretAccessKey = envTrim(host.secretAccessKeyEnv);
+        client = new S3Client({
+            region: host.region || 'us-east-1',
+            ...(host.endpoint ? { endpoint: host.endpoint } : {}),
+            forcePathStyle: host.forcePathStyle !== false,
+            // Without explicit keys the SDK's default chain applies (env, profile, role)
+            ...(accessKeyId && secretAccessKey ? { credentials: { accessKeyId, secretAccessKey } } : {}),
+        });
+        return client;
+    }
+
+    return {
+        uploads: true,
+        urlFor: key => joinUrl(publicBase, prefix + key),
+        async publish(filePath, key) {
+            const { PutObjectCommand } = await import('@aws-sdk/client-s3');
+            const s3 = await getClient();
+            try {
+                await s3.send(new PutObjectCommand({
+                    Bucket: host.bucket,
+                    Key: prefix + key,
+                    Body: fs.readFileSync(filePath),
+                    ContentType: CONTENT_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream',
+                    ...(host.acl ? { ACL: host.acl } : {}),
+                }));
+            } catch (err) {
+                throw new Error(`Upload of ${key} to s3://${host.bucket}/${prefix}${key} failed: ${err.message}`);
+            }
+            return joinUrl(publicBase, prefix + key);
+        },
+    };
+}
+
+function staticHost(host) {
+    requireFields(host, ['baseUrl']);
+    return {
+        uploads: Boolean(host.dir),
+        urlFor: key => joinUrl(host.baseUrl, key),
+        async publish(filePath, key) {
+            if (host.dir) {
+                const target = path.resolve(ROOT, host.dir, key);
+                fs.mkdirSync(path.dirname(target), { recursive: true });
+                fs.copyFileSync(filePath, target);
+            }
+            return joinUrl(host.baseUrl, key);
+        },
+    };
+}
+
+const HOST_TYPES = {
+    'github-raw': githubRawHost,
+    s3: s3Host,
+    static: staticHost,
+};
+
+/**
+ * Load host definitions with environment values filled in.
+ */
+export function loadImageHosts(file = envTrim('IMAGE_HOSTS_FILE') || DEFAULT_HOSTS_FILE) {
+    const raw = JSON.parse(fs.readFileSync(path.resolve(ROOT, file), 'utf-8'));
+    return expandAll(raw);
+}
+
+/**
+ * The configured image host (or the one named).
+ * @returns {{ name: string, label: string, type: string, uploads: boolean,
+ *   urlFor: (key: string) => string,
+ *   publish: (filePath: string, key?: string) => Promise<string> }}
+ */
+export function createImageHost(name = null) {
+    const cfg = loadImageHosts();
+    const hostName = name || cfg.host;
+    const host = cfg.hosts?.[hostName];
+    if (!host) {
+        throw new Error(`Unknown image host "${hostName}". Available: ${Object.keys(cfg.hosts || {}).join(', ')}`);
+    }
+    const create = HOST_TYPES[host.type];
+    if (!create) {
+        throw new Error(`Unknown image host type "${host.type}" for ${hostName}`);
+    }
+
+    const impl = create({ ...host, name: hostName });
+    return {
+        name: hostName,
+        label: host.label || hostName,
+        type: host.type,
+        uploads: impl.uploads,
+        urlFor: impl.urlFor,
+        publish: (filePath, key = keyForFile(filePath)) => impl.publish(filePath, key),
+    };
+}
@@ -0,0 +1,54 @@
+/**
+ * image-info.js
+ *
+ * Minimal PNG / JPEG header reader: type and pixel dimensions without
+ * decoding the image or pulling in an image library.
+ */
+
+import fs from 'fs';
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// JPEG start-of-frame markers carrying the dimensions (not DHT/JPG/DAC)
+const SOF_MARKERS = new Set([0xc0, 0xc1, 0xc2, 0xc3, 0xc5, 0xc6, 0xc7, 0xc9, 0xca, 0xcb, 0xcd, 0xce, 0xcf]);
+
+function jpegSize(buf) {
+    let offset = 2;
+    while (offset + 9 < buf.length) {
+        if (buf[offset] !== 0xff) return null;
+        const marker = buf[offset + 1];
+        // Standalone markers have no length field
+        if (marker === 0xd8 || marker === 0x01 || (marker >= 0xd0 && marker <= 0xd7)) {
+            offset += 2;
+            continue;
+        }
+        const length = buf.readUInt16BE(offset + 2);
+        if (SOF_MARKERS.has(marker)) {
+            return { height: buf.readUInt16BE(offset + 5), width: buf.readUInt16BE(offset + 7) };
+        }
+        offset += 2 + length;
+    }
+    return null;
+}
+
+/**
+ * Read type and dimensions from an image buffer.
+ * @returns {{ type: 'png'|'jpeg', width: number, height: number } | null} null if unrecognised
+ */
+export function imageInfoFromBuffer(buf) {
+    if (buf.length >= 24 && buf.subarray(0, 8).equals(PNG_SIGNATURE)) {
+        return { type: 'png', width: buf.readUInt32BE(16), height: buf.readUInt32BE(20) };
+    }
+    if (buf.length >= 4 && buf[0] === 0xff && buf[1] === 0xd8 && buf[2] === 0xff) {
+        const size = jpegSize(buf);
+        return size ? { type: 'jpeg', ...size } : null;
+    }
+    return null;
+}
+
+/**
+ * Read type and dimensions from an image file.
+ */
+export function readImageInfo(filePath) {
+    return imageInfoFromBuffer(fs.readFileSync(filePath));
+}
@@ -1,8 +1,8 @@
-import fetch from 'node-fetch';
 import { config } from './config.js';
-
-const GRAPH_API = config.instagram.graphApiBase;
-const FB_GRAPH_API = config.instagram.facebookGraphBase;
+import { graphRequest, GraphApiError } from './graph-client.js';
+import { loadProgress, saveProgress, clearProgress } from './publish-progress.js';
+import { lintCaption, formatCaptionErrors } from './caption-lint.js';
+import { preflightImageUrls, STORY_LIMITS } from './url-preflight.js';
 
 /**
  * Sleep for a given number of milliseconds.
@@ -24,14 +24,9 @@ export async function getInstagramAccountId() {
     console.log('🔍 Looking up your Instagram Business Account ID...\n');
 
     // Query Instagram Graph API /me to get the account ID
-    const res = await fetch(
-        `${GRAPH_API}/me?fields=id,username,name,account_type&access_token=${config.instagram.accessToken}`
-    );
-    const data = await res.json();
-
-    if (data.error) {
-        throw new Error(`Instagram API error: ${data.error.message}`);
-    }
+    const data = await graphRequest('GET', 'me', { fields: 'id,username,name,account_type' }, {
+        label: 'Instagram account lookup',
+    });
 
     if (!data.id) {
         throw new Error(
@@ -49,23 +44,12 @@ export async function getInstagramAccountId() {
 /**
  * Create a single media container for a carousel item.
  */
-async function createMediaContainer(igAccountId, imageUrl, isCarouselItem = true) {
-    const params = new URLSearchParams({
+async function createMediaContainer(igAccountId, imageUrl, isCarouselItem = true, altText = null) {
+    const data = await graphRequest('POST', `${igAccountId}/media`, {
         image_url: imageUrl,
         is_carousel_item: isCarouselItem.toString(),
-        access_token: config.instagram.accessToken,
-    });
-
-    const res = await fetch(`${GRAPH_API}/${igAccountId}/media`, {
-        method: 'POST',
-        body: params,
-    });
-
-    const data = await res.json();
-
-    if (data.error) {
-        throw new Error(`Failed to create media container: ${data.error.message}`);
-    }
+        ...(altText ? { alt_text: altText } : {}),
+    }, { label: 'Failed to create media container' });
 
     return data.id;
 }
@@ -75,17 +59,41 @@ async function createMediaContainer(igAccountId, imageUrl, isCarouselItem = true
  * Instagram processes uploaded media asynchronously.
  */
 async function checkContainerStatus(containerId) {
-    const res = await fetch(
-        `${GRAPH_API}/${containerId}?fields=status_code,status&access_token=${config.instagram.accessToken}`
-    );
-    const data = await res.json();
-    return data;
+    return graphRequest('GET', containerId, { fields: 'status_code,status' }, {
+        label: `Failed to check container ${containerId}`,
+    });
+}
+
+/**
+ * A container's status_code, or null if it can't be read.
+ */
+async function containerStatusCode(containerId) {
+    try {
+        return (await checkContainerStatus(containerId)).status_code || null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Container states that can still be published. EXPIRED (24h old) and
+ * ERROR containers have to be created again.
+ */
+const REUSABLE_STATUSES = ['FINISHED', 'IN_PROGRESS'];
+
+/**
+ * Check whether a previously created container can be reused.
+ * Returns its current status_code, or null if it must be recreated.
+ */
+async function reusableStatus(containerId) {
+    const status = await containerStatusCode(containerId);
+    return REUSABLE_STATUSES.includes(status) ? status : null;
 }
 
 /**
  * Wait for a media container to finish processing.
  */
-async function waitForContainer(containerId, maxAttempts = 30) {
+async function waitForContainer(containerId, maxAttempts = 30, intervalMs = 2000) {
     for (let i = 0; i < maxAttempts; i++) {
         const status = await checkContainerStatus(containerId);
 
@@ -97,83 +105,82 @@ async function waitForContainer(containerId, maxAttempts = 30) {
             throw new Error(`Container ${containerId} failed: ${status.status || 'Unknown error'}`);
         }
 
-        // Wait 2 seconds before checking again
-        await sleep(2000);
+        await sleep(intervalMs);
     }
 
-    throw new Error(`Container ${containerId} timed out after ${maxAttempts * 2} seconds`);
+    throw new Error(`Container ${containerId} timed out after ${(maxAttempts * intervalMs) / 1000} seconds`);
 }
 
 /**
  * Create a carousel container from multiple media containers.
  */
 async function createCarouselContainer(igAccountId, childContainerIds, caption) {
-    const params = new URLSearchParams({
+    const data = await graphRequest('POST', `${igAccountId}/media`, {
         media_type: 'CAROUSEL',
         children: childContainerIds.join(','),
         caption: caption,
-        access_token: config.instagram.accessToken,
-    });
-
-    const res = await fetch(`${GRAPH_API}/${igAccountId}/media`, {
-        method: 'POST',
-        body: params,
-    });
-
-    const data = await res.json();
-
-    if (data.error) {
-        throw new Error(`Failed to create carousel: ${data.error.message}`);
-    }
+    }, { label: 'Failed to create carousel' });
 
     return data.id;
 }
 
 /**
  * Publish a media container (makes it live on Instagram).
+ *
+ * Never retried automatically: if the publish went through but the response
+ * was lost, a retry only gets an error and the post would look unpublished.
+ * Instead, on any failure the container's status decides: PUBLISHED means the
+ * post is live and counts as success (the media id is then unknown, null).
  */
 async function publishMedia(igAccountId, creationId) {
-    const params = new URLSearchParams({
-        creation_id: creationId,
-        access_token: config.instagram.accessToken,
-    });
-
-    const res = await fetch(`${GRAPH_API}/${igAccountId}/media_publish`, {
-        method: 'POST',
-        body: params,
-    });
-
-    const data = await res.json();
-
-    if (data.error) {
-        throw new Error(`Failed to publish: ${data.error.message}`);
+    try {
+        const data = await graphRequest('POST', `${igAccountId}/media_publish`, {
+            creation_id: creationId,
+        }, { label: 'Failed to publish', maxRetries: 0 });
+        return data.id;
+    } catch (err) {
+        if (await containerStatusCode(creationId) === 'PUBLISHED') {
+            console.log(`  ⚠️  Publish reported an error, but container ${creationId} is PUBLISHED — the post is live.`);
+            return null;
+        }
+        throw err;
     }
+}
 
-    return data.id;
+/**
+ * True if a container from an earlier attempt was already published (its
+ * publish response was lost), so the post must not be created again.
+ */
+async function publishedEarlier(containerId, progressKey) {
+    if (!containerId || await containerStatusCode(containerId) !== 'PUBLISHED') return false;
+    console.log(`  ✅ Container ${containerId} from an earlier attempt is already PUBLISHED, not posting again.\n`);
+    if (progressKey) clearProgress(progressKey);
+    return true;
 }
 
 /**
  * Post a single image (non-carousel) to Instagram.
  */
-async function createSingleImageContainer(igAccountId, imageUrl, caption) {
-    const params = new URLSearchParams({
+async function createSingleImageContainer(igAccountId, imageUrl, caption, altText = null) {
+    const data = await graphRequest('POST', `${igAccountId}/media`, {
         image_url: imageUrl,
         caption: caption,
-        access_token: config.instagram.accessToken,
-    });
+        ...(altText ? { alt_text: altText } : {}),
+    }, { label: 'Failed to create image post' });
 
-    const res = await fetch(`${GRAPH_API}/${igAccountId}/media`, {
-        method: 'POST',
-        body: params,
-    });
-
-    const data = await res.json();
+    return data.id;
+}
 
-    if (data.error) {
-        throw new Error(`Failed to create image post: ${data.error.message}`);
+/**
+ * Last lint before a caption reaches Instagram: apply fixes, throw on errors.
+ */
+function checkCaption(caption) {
+    const lint = lintCaption(caption);
+    for (const fix of lint.fixes) console.log(`  🔧 Caption: ${fix}`);
+    if (lint.errors.length > 0) {
+        throw new Error(`Caption failed lint:\n${formatCaptionErrors(lint.errors, '    ')}`);
     }
-
-    return data.id;
+    return lint.caption;
 }
 
 /**
@@ -182,76 +189,272 @@ async function createSingleImageContainer(igAccountId, imageUrl, caption) {
  * @param {string[]} imageUrls - Array of public image URLs (2-10 images)
  * @param {string} caption - Post caption with hashtags
  * @param {boolean} dryRun - If true, simulate without posting
+ * @param {object} [options]
+ * @param {string} [options.resumeKey] - Persist in-flight containers under this key
+ *   so a failed attempt can be resumed without recreating them
+ * @param {string[]} [options.altTexts] - Alt text per image, same order as imageUrls
+ * @param {boolean} [options.preflight=true] - Fetch and check every URL before
+ *   creating containers (see url-preflight.js)
  */
-export async function postCarousel(igAccountId, imageUrls, caption, dryRun = false) {
-    // Filter out any null URLs from failed uploads
-    const validUrls = imageUrls.filter(url => url !== null);
+export async function postCarousel(igAccountId, imageUrls, caption, dryRun = false, options = {}) {
+    const { resumeKey = null, altTexts = [], preflight = true } = options;
+
+    // Filter out any null URLs from failed uploads (keeping each image's alt text)
+    const valid = imageUrls
+        .map((url, i) => ({ url, altText: altTexts[i] || null }))
+        .filter(img => img.url !== null);
+    const validUrls = valid.map(img => img.url);
 
     if (validUrls.length === 0) {
         throw new Error('No valid image URLs to post');
     }
 
+    caption = checkCaption(caption);
+
     if (dryRun) {
         console.log('  🧪 DRY RUN — would post carousel with:');
-        console.log(`     Images: ${validUrls.length}`);
+        console.log(`     Images: ${validUrls.length} (${valid.filter(img => img.altText).length} with alt text)`);
         console.log(`     Caption: ${caption.substring(0, 80)}...`);
         console.log('     ✅ Validation passed\n');
         return 'DRY_RUN_SUCCESS';
     }
 
+    // Fail here with a per-slide report rather than on a container ERROR later
+    if (preflight) {
+        await preflightImageUrls(validUrls);
+    }
+
     // If only one image, post as single image instead of carousel
     if (validUrls.length === 1) {
         console.log('  📷 Posting as single image (1 slide)...');
-        const containerId = await createSingleImageContainer(igAccountId, validUrls[0], caption);
+        const containerId = await createSingleImageContainer(igAccountId, validUrls[0], caption, valid[0].altText);
         await waitForContainer(containerId);
         const postId = await publishMedia(igAccountId, containerId);
-        console.log(`  ✅ Published! Post ID: ${postId}\n`);
+        console.log(`  ✅ Published! Post ID: ${postId ?? 'unknown'}\n`);
         return postId;
     }
 
-    // Step 1: Create individual containers for each image
+    // Resume state from an earlier failed attempt (in-memory only without a key)
+    const progress = resumeKey ? loadProgress(resumeKey) : { children: [], carousel: null };
+    const persist = () => { if (resumeKey) saveProgress(progress); };
+
+    if (await publishedEarlier(progress.carousel?.containerId, resumeKey)) {
+        return null;
+    }
+
+    // Step 1: Create individual containers for each image (reusing valid ones)
     console.log(`  📦 Creating ${validUrls.length} media containers...`);
-    const containerIds = [];
+    const children = [];
 
     for (let i = 0; i < validUrls.length; i++) {
-        const containerId = await createMediaContainer(igAccountId, validUrls[i]);
-        containerIds.push(containerId);
+        const previous = progress.children[i];
+        const altText = valid[i].altText;
+        if (previous && previous.imageUrl === validUrls[i] && (previous.altText || null) === altText && previous.containerId) {
+            const status = await reusableStatus(previous.containerId);
+            if (status) {
+                children.push({ ...previous, status });
+                console.log(`     Slide ${i + 1}: Reusing container ${previous.containerId} (${status})`);
+                continue;
+            }
+            console.log(`     Slide ${i + 1}: Container ${previous.containerId} expired or failed, recreating`);
+        }
+
+        const containerId = await createMediaContainer(igAccountId, validUrls[i], true, altText);
+        children.push({ imageUrl: validUrls[i], altText, containerId, status: 'CREATED' });
+        progress.children = [...children, ...progress.children.slice(children.length)];
+        persist();
         console.log(`     Slide ${i + 1}: Container ${containerId}`);
-        await sleep(1000); // Respect rate limits
     }
+    progress.children = children;
+    persist();
 
     // Step 2: Wait for all containers to finish processing
     console.log('  ⏳ Waiting for media processing...');
-    for (const cid of containerIds) {
-        await waitForContainer(cid);
+    for (const child of children) {
+        if (child.status !== 'FINISHED') {
+            try {
+                await waitForContainer(child.containerId);
+            } catch (err) {
+                child.status = 'ERROR';
+                persist();
+                throw err;
+            }
+            child.status = 'FINISHED';
+            persist();
+        }
     }
     console.log('  ✅ All media processed');
 
-    // Step 3: Create the carousel container
-    console.log('  🎠 Creating carousel...');
-    const carouselId = await createCarouselContainer(igAccountId, containerIds, caption);
-    await waitForContainer(carouselId);
+    const containerIds = children.map(c => c.containerId);
+
+    // Step 3: Create the carousel container (reuse only if children + caption are unchanged)
+    const previousCarousel = progress.carousel;
+    let carouselId = null;
+    if (
+        previousCarousel &&
+        previousCarousel.caption === caption &&
+        previousCarousel.children.join(',') === containerIds.join(',')
+    ) {
+        const status = await reusableStatus(previousCarousel.containerId);
+        if (status) {
+            carouselId = previousCarousel.containerId;
+            console.log(`  🎠 Reusing carousel container ${carouselId} (${status})`);
+        }
+    }
+
+    if (!carouselId) {
+        console.log('  🎠 Creating carousel...');
+        carouselId = await createCarouselContainer(igAccountId, containerIds, caption);
+        progress.carousel = { containerId: carouselId, children: containerIds, caption, status: 'CREATED' };
+        persist();
+    }
+    try {
+        await waitForContainer(carouselId);
+    } catch (err) {
+        progress.carousel.status = 'ERROR';
+        persist();
+        throw err;
+    }
+    progress.carousel.status = 'FINISHED';
+    persist();
 
     // Step 4: Publish
     console.log('  🚀 Publishing...');
     const postId = await publishMedia(igAccountId, carouselId);
-    console.log(`  ✅ Published! Post ID: ${postId}\n`);
+    console.log(`  ✅ Published! Post ID: ${postId ?? 'unknown'}\n`);
+
+    if (resumeKey) clearProgress(resumeKey);
+
+    return postId;
+}
+
+// Video processing is much slower than images: poll every 5s for up to 10 minutes
+const REEL_POLL_ATTEMPTS = 120;
+const REEL_POLL_INTERVAL_MS = 5000;
+
+/**
+ * Post a Reel to Instagram from a public MP4 URL (see reel-video.js).
+ * @param {string} igAccountId - Instagram Business Account ID
+ * @param {string} videoUrl - Public URL of the MP4
+ * @param {string} caption - Post caption with hashtags
+ * @param {boolean} dryRun - If true, simulate without posting
+ * @param {object} [options]
+ * @param {string} [options.resumeKey] - Persist the in-flight container under this key
+ * @param {boolean} [options.shareToFeed=true] - Also show the Reel in the profile grid
+ */
+export async function postReel(igAccountId, videoUrl, caption, dryRun = false, options = {}) {
+    const { resumeKey = null, shareToFeed = true } = options;
+
+    if (!videoUrl) {
+        throw new Error('No video URL to post');
+    }
+    caption = checkCaption(caption);
+
+    if (dryRun) {
+        console.log('  🧪 DRY RUN — would post Reel with:');
+        console.log(`     Video: ${videoUrl}`);
+        console.log(`     Caption: ${caption.substring(0, 80)}...`);
+        console.log('     ✅ Validation passed\n');
+        return 'DRY_RUN_SUCCESS';
+    }
+
+    const progress = resumeKey ? loadProgress(resumeKey) : { reel: null };
+    const persist = () => { if (resumeKey) saveProgress(progress); };
+
+    if (await publishedEarlier(progress.reel?.containerId, resumeKey)) {
+        return null;
+    }
+
+    // Reuse the container from an earlier attempt if nothing changed
+    let containerId = null;
+    const previous = progress.reel;
+    if (previous && previous.videoUrl === videoUrl && previous.caption === caption) {
+        const status = await reusableStatus(previous.containerId);
+        if (status) {
+            containerId = previous.containerId;
+            console.log(`  🎬 Reusing Reel container ${containerId} (${status})`);
+        }
+    }
+
+    if (!containerId) {
+        console.log('  🎬 Creating Reel container...');
+        const data = await graphRequest('POST', `${igAccountId}/media`, {
+            media_type: 'REELS',
+            video_url: videoUrl,
+            caption,
+            share_to_feed: shareToFeed.toString(),
+        }, { label: 'Failed to create Reel container' });
+        containerId = data.id;
+        progress.reel = { containerId, videoUrl, caption, status: 'CREATED' };
+        persist();
+    }
+
+    console.log('  ⏳ Waiting for video processing...');
+    try {
+        await waitForContainer(containerId, REEL_POLL_ATTEMPTS, REEL_POLL_INTERVAL_MS);
+    } catch (err) {
+        progress.reel.status = 'ERROR';
+        persist();
+        throw err;
+    }
+    progress.reel.status = 'FINISHED';
+    persist();
+
+    console.log('  🚀 Publishing...');
+    const postId = await publishMedia(igAccountId, containerId);
+    console.log(`  ✅ Published! Post ID: ${postId ?? 'unknown'}\n`);
+
+    if (resumeKey) clearProgress(resumeKey);
 
     return postId;
 }
 
+/**
+ * Share an image to the account's Story (see the story card in slide-renderer.js).
+ * Stories take no caption; the image itself carries the call-out.
+ * @param {string} igAccountId - Instagram Business Account ID
+ * @param {string} imageUrl - Public URL of a 9:16 image
+ * @param {boolean} dryRun - If true, simulate without posting
+ */
+export async function postStory(igAccountId, imageUrl, dryRun = false) {
+    if (!imageUrl) {
+        throw new Error('No story image URL to post');
+    }
+
+    if (dryRun) {
+        console.log('  🧪 DRY RUN — would share Story with:');
+        console.log(`     Image: ${imageUrl}\n`);
+        return 'DRY_RUN_SUCCESS';
+    }
+
+    await preflightImageUrls([imageUrl], { limits: STORY_LIMITS });
+
+    console.log('  📲 Creating Story container...');
+    const data = await graphRequest('POST', `${igAccountId}/media`, {
+        media_type: 'STORIES',
+        image_url: imageUrl,
+    }, { label: 'Failed to create Story container' });
+
+    await waitForContainer(data.id);
+
+    const storyId = await publishMedia(igAccountId, data.id);
+    console.log(`  ✅ Story shared! Media ID: ${storyId ?? 'unknown'}\n`);
+    return storyId;
+}
+
 /**
  * Validate that the access token is still valid.
  * Uses Instagram Graph API /me (works with Instagram Login tokens).
  */
 export async function validateToken() {
-    const res = await fetch(
-        `${GRAPH_API}/me?fields=id,username,name&access_token=${config.instagram.accessToken}`
-    );
-    const data = await res.json();
-
-    if (data.error) {
-        return { valid: false, error: data.error.message };
+    let data;
+    try {
+        data = await graphRequest('GET', 'me', { fields: 'id,username,name' }, { label: 'Token check' });
+    } catch (err) {
+        if (err instanceof GraphApiError) {
+            return { valid: false, error: err.message, kind: err.kind };
+        }
+        throw err;
     }
 
     return { valid: true, name: data.username || data.name || data.id, id: data.id };
@@ -0,0 +1,67 @@
+/**
+ * jpeg-export.js
+ *
+ * Turns captured PNG masters into the JPEGs that are actually published.
+ * Instagram's content publishing API officially takes JPEG for image posts
+ * (max 8 MB), so every slide and story card is re-encoded as:
+ *   - exactly the format's pixel size (resized if the capture is off)
+ *   - sRGB, no alpha, no metadata (EXIF/ICC/XMP stripped)
+ *   - mozjpeg with 4:4:4 chroma, so thin coloured text stays sharp
+ *   - the highest quality from JPEG_MAX_QUALITY down to JPEG_MIN_QUALITY (in
+ *     steps of 4, then JPEG_MIN_QUALITY itself) that fits in JPEG_MAX_BYTES;
+ *     failing that is an error
+ *
+ * The PNG stays next to it as the master (visual tests, Reels, re-exports).
+ */
+
+import fs from 'fs';
+import sharp from 'sharp';
+
+export const JPEG_MAX_BYTES = parseInt(process.env.JPEG_MAX_BYTES || String(1024 * 1024), 10);
+const MAX_QUALITY = parseInt(process.env.JPEG_MAX_QUALITY || '92', 10);
+const MIN_QUALITY = parseInt(process.env.JPEG_MIN_QUALITY || '70', 10);
+const QUALITY_STEP = 4;
+
+/**
+ * JPEG path for a PNG master (post1_slide1.png → post1_slide1.jpg).
+ */
+export function jpegPathFor(pngPath) {
+    return pngPath.replace(/\.png$/i, '.jpg');
+}
+
+function encode(pngPath, width, height, quality) {
+    return sharp(pngPath)
+        .resize(width, height, { fit: 'fill' })
+        .flatten({ background: '#000000' })
+        .toColourspace('srgb')
+        .jpeg({ quality, mozjpeg: true, chromaSubsampling: '4:4:4' })
+        .toBuffer();
+}
+
+// MAX_QUALITY down in QUALITY_STEP steps, always ending on MIN_QUALITY
+function qualitySteps() {
+    const steps = [];
+    for (let quality = MAX_QUALITY; quality > MIN_QUALITY; quality -= QUALITY_STEP) steps.push(quality);
+    steps.push(MIN_QUALITY);
+    return steps;
+}
+
+/**
+ * Encode one PNG as a JPEG of exactly width × height within the byte budget.
+ * @returns {Promise<{ jpegPath: string, quality: number, bytes: number }>}
+ */
+export async function exportJpeg(pngPath, { width, height }, { maxBytes = JPEG_MAX_BYTES, jpegPath = jpegPathFor(pngPath) } = {}) {
+    let smallest = null;
+    for (const quality of qualitySteps()) {
+        const buf = await encode(pngPath, width, height, quality);
+        if (buf.length <= maxBytes) {
+            fs.writeFileSync(jpegPath, buf);
+            return { jpegPath, quality, bytes: buf.length };
+        }
+        smallest = { quality, bytes: buf.length };
+    }
+    throw new Error(
+        `${pngPath} does not fit in ${maxBytes} bytes as JPEG ` +
+        `(${smallest.bytes} bytes at quality ${smallest.quality}); raise JPEG_MAX_BYTES or lower JPEG_MIN_QUALITY`
+    );
+}
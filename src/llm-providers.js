@@ -0,0 +1,289 @@
+/**
+ * llm-providers.js
+ *
+ * Provider registry for text generation. Providers are declared in
+ * config/llm-providers.json (or the file named by LLM_PROVIDERS_FILE):
+ * type, base URL, API key env var, model candidates, order and parameters.
+ *
+ * Supported types:
+ *   - "openai-compatible" → any /chat/completions endpoint (Groq, OpenRouter,
+ *                           Together, or a local Ollama / llama.cpp server)
+ *   - "gemini"            → Google Generative AI SDK
+ *
+ * Env overrides:
+ *   LLM_PROVIDERS_FILE=path/to/providers.json
+ *   LLM_PROVIDER_ORDER=local,groq   → only these providers, in this order
+ *
+ * Record / replay (deterministic runs, debugging a bad day's content):
+ *   LLM_CACHE_MODE=record  → call providers as usual and store every
+ *                            prompt/response pair under LLM_FIXTURES_DIR
+ *   LLM_CACHE_MODE=replay  → serve stored responses, never touch the network
+ *   LLM_FIXTURES_DIR       → defaults to fixtures/llm
+ * Fixtures are keyed by prompt hash + provider + model. Prompts embed the
+ * day's source items and article text, so in replay mode generate-content.js
+ * and fact-check.js read those from sources/snapshots/<date>.json instead of
+ * fetching them again (a refetch would change the prompt and miss the cache).
+ */
+
+import axios from "axios";
+import crypto from "crypto";
+import { GoogleGenerativeAI } from "@google/generative-ai";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import dotenv from "dotenv";
+import { envTrim, envBool, expandEnv } from "./env.js";
+
+dotenv.config();
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const ROOT = path.resolve(__dirname, "..");
+
+const DEFAULT_PROVIDERS_FILE = path.resolve(ROOT, "config", "llm-providers.json");
+
+/**
+ * Load provider definitions, apply defaults and ordering.
+ * @returns {Array<object>} Providers in the order they should be tried
+ */
+export function loadProviders(file = envTrim("LLM_PROVIDERS_FILE") || DEFAULT_PROVIDERS_FILE) {
+    const raw = JSON.parse(fs.readFileSync(path.resolve(ROOT, file), "utf-8"));
+    const defaults = raw.defaults || {};
+
+    let providers = (raw.providers || []).map((p, i) => ({
+        order: i,
+        ...p,
+        params: { ...defaults, ...(p.params || {}) },
+    }));
+
+    const explicitOrder = envTrim("LLM_PROVIDER_ORDER")
+        .split(",")
+        .map(s => s.trim())
+        .filter(Boolean);
+
+    if (explicitOrder.length > 0) {
+        const unknown = explicitOrder.filter(name => !providers.some(p => p.name === name));
+        if (unknown.length > 0) {
+            throw new Error(`LLM_PROVIDER_ORDER names unknown provider(s): ${unknown.join(", ")}`);
+        }
+        // Naming a provider explicitly enables it
+        providers = explicitOrder.map(name => ({ ...providers.find(p => p.name === name), enabled: true }));
+    } else {
+        providers.sort((a, b) => a.order - b.order);
+    }
+
+    return providers;
+}
+
+/**
+ * Why a provider should be skipped (missing key, disabled), or null if usable.
+ */
+function skipReason(provider) {
+    const enabled = provider.enabledEnv
+        ? envBool(provider.enabledEnv, provider.enabled !== false)
+        : provider.enabled !== false;
+    if (!enabled) {
+        return `${provider.label || provider.name} disabled${provider.enabledEnv ? ` (set ${provider.enabledEnv}=true)` : ""}`;
+    }
+    if (provider.disableEnv && envBool(provider.disableEnv, false)) {
+        return `${provider.label || provider.name} disabled (${provider.disableEnv}=true)`;
+    }
+    if (provider.requiresApiKey !== false && !envTrim(provider.apiKeyEnv)) {
+        return `${provider.apiKeyEnv} not set`;
+    }
+    return null;
+}
+
+/**
+ * Model candidates: env override first, then the configured list.
+ */
+export function modelCandidates(provider) {
+    return [...new Set([envTrim(provider.modelEnv), ...(provider.models || [])].filter(Boolean))];
+}
+
+async function callOpenAICompatible(provider, model, prompt) {
+    const baseUrl = (envTrim(provider.baseUrlEnv) || provider.baseUrl).replace(/\/+$/, "");
+    const apiKey = envTrim(provider.apiKeyEnv);
+
+    const headers = { "Content-Type": "application/json" };
+    if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+    for (const [name, value] of Object.entries(provider.headers || {})) {
+        headers[name] = expandEnv(value);
+    }
+
+    const { temperature, maxTokens, ...extra } = provider.params;
+    const res = await axios.post(
+        `${baseUrl}/chat/completions`,
+        {
+            model,
+            messages: [{ role: "user", content: prompt }],
+            temperature,
+            max_tokens: maxTokens,
+            ...extra,
+        },
+        { headers, timeout: provider.timeoutMs || 120000 }
+    );
+    return res.data.choices[0].message.content;
+}
+
+async function callGemini(provider, model, prompt) {
+    const genAI = new GoogleGenerativeAI(envTrim(provider.apiKeyEnv));
+    const { temperature, maxTokens } = provider.params;
+    const generativeModel = genAI.getGenerativeModel({
+        model,
+        generationConfig: {
+            temperature,
+            maxOutputTokens: maxTokens,
+        },
+    });
+    const result = await generativeModel.generateContent(prompt);
+    return result.response.text();
+}
+
+const PROVIDER_TYPES = {
+    "openai-compatible": callOpenAICompatible,
+    gemini: callGemini,
+};
+
+/**
+ * True when an error means "this model name is wrong/retired" — try the next candidate.
+ */
+function isModelError(err) {
+    const data = err?.response?.data;
+    const msg = (data?.error?.message || err?.message || "").toLowerCase();
+    return (
+        data?.error?.code === "model_decommissioned" ||
+        err?.response?.status === 404 ||
+        msg.includes("decommissioned") ||
+        msg.includes("no longer supported") ||
+        msg.includes("not found") ||
+        msg.includes("listmodels") ||
+        msg.includes("404") ||
+        msg.includes("model")
+    );
+}
+
+/**
+ * Call one model of one provider.
+ */
+export async function callModel(provider, model, prompt) {
+    const call = PROVIDER_TYPES[provider.type];
+    if (!call) {
+        throw new Error(`Unknown provider type "${provider.type}" for ${provider.name}`);
+    }
+    return call(provider, model, prompt);
+}
+
+// ==============================
+// Record / replay cache
+// ==============================
+export function llmCacheMode() {
+    const mode = envTrim("LLM_CACHE_MODE").toLowerCase() || "off";
+    if (!["off", "record", "replay"].includes(mode)) {
+        throw new Error(`LLM_CACHE_MODE must be off, record or replay (got "${mode}")`);
+    }
+    return mode;
+}
+
+function fixturesDir() {
+    return path.resolve(ROOT, envTrim("LLM_FIXTURES_DIR") || path.join("fixtures", "llm"));
+}
+
+export function promptHash(prompt) {
+    return crypto.createHash("sha256").update(prompt).digest("hex");
+}
+
+function fixturePath(hash, providerName, model) {
+    const safeModel = model.replace(/[^a-zA-Z0-9._-]/g, "_");
+    return path.resolve(fixturesDir(), `${hash.slice(0, 16)}__${providerName}__${safeModel}.json`);
+}
+
+function recordFixture(prompt, provider, model, response) {
+    const hash = promptHash(prompt);
+    const file = fixturePath(hash, provider.name, model);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify({
+        promptHash: hash,
+        provider: provider.name,
+        model,
+        recordedAt: new Date().toISOString(),
+        prompt,
+        response,
+    }, null, 2) + "\n");
+    console.log(`📼 Recorded: ${path.relative(ROOT, file)}`);
+}
+
+/**
+ * Find a stored response: exact provider/model in configured order first,
+ * then any recording of the same prompt.
+ */
+function replayFixture(prompt, providers) {
+    const hash = promptHash(prompt);
+
+    for (const provider of providers) {
+        for (const model of modelCandidates(provider)) {
+            const file = fixturePath(hash, provider.name, model);
+            if (fs.existsSync(file)) return { file, ...JSON.parse(fs.readFileSync(file, "utf-8")) };
+        }
+    }
+
+    const dir = fixturesDir();
+    const prefix = `${hash.slice(0, 16)}__`;
+    const any = fs.existsSync(dir) ? fs.readdirSync(dir).filter(f => f.startsWith(prefix)).sort() : [];
+    for (const name of any) {
+        const fixture = JSON.parse(fs.readFileSync(path.resolve(dir, name), "utf-8"));
+        // Guard against a 16-char prefix collision
+        if (fixture.promptHash === hash) return { file: path.resolve(dir, name), ...fixture };
+    }
+
+    return null;
+}
+
+/**
+ * Try each configured provider (and each of its model candidates) in order
+ * until one returns text.
+ */
+export async function generateWithFallback(prompt) {
+    const providers = loadProviders();
+    const mode = llmCacheMode();
+
+    if (mode === "replay") {
+        const fixture = replayFixture(prompt, providers);
+        if (!fixture) {
+            throw new Error(
+                `No recorded LLM response for prompt ${promptHash(prompt).slice(0, 16)} in ${fixturesDir()}. ` +
+                "Run once with LLM_CACHE_MODE=record."
+            );
+        }
+        console.log(`📼 Replaying ${fixture.provider} / ${fixture.model} (${path.relative(ROOT, fixture.file)})\n`);
+        return fixture.response;
+    }
+
+    for (const provider of providers) {
+        const reason = skipReason(provider);
+        if (reason) {
+            console.log(`⚪ SKIP: ${reason}`);
+            continue;
+        }
+
+        console.log(`🔹 Trying ${provider.label || provider.name}...`);
+
+        let lastErr = null;
+        for (const model of modelCandidates(provider)) {
+            try {
+                const output = await callModel(provider, model, prompt);
+                console.log(`✅ Success! (${provider.name} / ${model})\n`);
+                if (mode === "record") recordFixture(prompt, provider, model, output);
+                return output;
+            } catch (err) {
+                lastErr = err;
+                if (isModelError(err)) continue;
+                break;
+            }
+        }
+
+        console.log("❌ Failed:", lastErr?.response?.data || lastErr?.message || String(lastErr));
+    }
+
+    throw new Error("All AI providers failed.");
+}
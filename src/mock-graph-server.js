@@ -0,0 +1,277 @@
+/**
+ * mock-graph-server.js
+ *
+ * Local stand-in for the Instagram Graph API, so post-carousels.js can run
+ * end to end (container creation, status polling, carousel, publish)
+ * without touching the real account.
+ *
+ * Implements:
+ *   GET  /me
+ *   POST /{ig-user-id}/media            (image, carousel item, CAROUSEL, REELS, STORIES)
+ *   GET  /{container-id}?fields=status_code,status
+ *   POST /{ig-user-id}/media_publish
+ *   GET  /refresh_access_token
+ *   GET  /debug_token
+ * An optional /vNN.N version prefix is ignored.
+ *
+ * Usage:
+ *   node src/mock-graph-server.js                         → http://localhost:4010/v21.0
+ *   node src/mock-graph-server.js --port 4010 --delay 200 --in-progress 2
+ *   node src/mock-graph-server.js --error-container 3     → 3rd container ends in ERROR
+ *   node src/mock-graph-server.js --fail media:4:2        → 4th POST /media fails with code 2
+ *   node src/mock-graph-server.js --lose-publish 1        → 1st publish goes live but answers 503
+ *   node src/mock-graph-server.js --usage 95              → report 95% X-App-Usage
+ *
+ * Then point the poster at it:
+ *   INSTAGRAM_GRAPH_API_BASE=http://localhost:4010/v21.0 node src/post-carousels.js --post-index 1
+ */
+
+import http from 'http';
+import { fileURLToPath } from 'url';
+
+const MOCK_ACCOUNT_ID = '17841400000000000';
+
+// Messages for injected failures, keyed by Graph API error code
+const ERROR_MESSAGES = {
+    1: 'An unknown error occurred',
+    2: 'An unexpected error has occurred. Please retry your request later.',
+    4: 'Application request limit reached',
+    17: 'User request limit reached',
+    32: 'Page request limit reached',
+    190: 'Invalid OAuth access token - Cannot parse access token',
+    613: 'Calls to this api have exceeded the rate limit.',
+    9004: 'Only photo or video can be accepted as media type.',
+};
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Parse "--fail endpoint:nth[:code[:subcode]]" into a failure rule.
+ * endpoint is one of: me, media, status, media_publish, refresh_access_token
+ */
+function parseFailure(spec) {
+    const [endpoint, nth, code = '2', subcode] = spec.split(':');
+    return {
+        endpoint,
+        nth: parseInt(nth, 10),
+        code: parseInt(code, 10),
+        subcode: subcode ? parseInt(subcode, 10) : undefined,
+    };
+}
+
+/**
+ * Start the mock server.
+ * @param {object} [options]
+ * @param {number} [options.port=4010] - 0 picks a free port
+ * @param {number} [options.delayMs=0] - Delay before every response
+ * @param {number} [options.inProgressPolls=1] - Status checks answered IN_PROGRESS before FINISHED
+ * @param {number[]} [options.errorContainers=[]] - 1-based creation order of containers that end in ERROR
+ * @param {Array<{endpoint: string, nth: number, code: number, subcode?: number}>} [options.failures=[]]
+ * @param {number[]} [options.lostPublishes=[]] - 1-based media_publish calls that publish
+ *   but respond with a transient error, as if the response was lost
+ * @param {number} [options.usagePercent=0] - Value reported in the X-App-Usage header
+ * @param {boolean} [options.quiet=false] - Don't log requests
+ * @returns {Promise<{ url: string, state: object, close: () => Promise<void> }>}
+ */
+export async function startMockGraphServer(options = {}) {
+    const {
+        port = 4010,
+        delayMs = 0,
+        inProgressPolls = 1,
+        errorContainers = [],
+        failures = [],
+        lostPublishes = [],
+        usagePercent = 0,
+        quiet = false,
+    } = options;
+
+    const state = {
+        containers: new Map(),
+        published: [],
+        calls: {},
+        requests: [],
+    };
+    let nextId = 1;
+
+    const newId = prefix => `${prefix}${String(nextId++).padStart(6, '0')}`;
+
+    function injectedFailure(endpoint) {
+        const count = state.calls[endpoint] = (state.calls[endpoint] || 0) + 1;
+        return failures.find(f => f.endpoint === endpoint && f.nth === count) || null;
+    }
+
+    function graphError(code, message, subcode) {
+        return {
+            error: {
+                message: message || ERROR_MESSAGES[code] || 'Mock error',
+                type: code === 190 ? 'OAuthException' : 'IGApiException',
+                code,
+                error_subcode: subcode,
+                is_transient: code === 1 || code === 2,
+                fbtrace_id: 'MOCK',
+            },
+        };
+    }
+
+    function route(method, pathname, params) {
+        const parts = pathname.replace(/^\/v\d+\.\d+/, '').split('/').filter(Boolean);
+
+        if (!params.access_token) {
+            return [400, graphError(190, 'An active access token must be used to query information.')];
+        }
+
+        const endpoint =
+            parts[0] === 'me' ? 'me' :
+            parts[0] === 'refresh_access_token' ? 'refresh_access_token' :
+            parts[0] === 'debug_token' ? 'debug_token' :
+            parts[1] === 'media' ? 'media' :
+            parts[1] === 'media_publish' ? 'media_publish' :
+            parts.length === 1 ? 'status' : null;
+
+        if (!endpoint) {
+            return [400, graphError(100, `Unsupported ${method} request to ${pathname}`)];
+        }
+
+        const failure = injectedFailure(endpoint);
+        if (failure) {
+            const httpStatus = failure.code === 190 ? 401 : failure.code === 2 ? 503 : 400;
+            return [httpStatus, graphError(failure.code, null, failure.subcode)];
+        }
+
+        if (endpoint === 'me' && method === 'GET') {
+            return [200, { id: MOCK_ACCOUNT_ID, username: 'dailyainewsone_mock', name: 'Daily AI News (mock)', account_type: 'BUSINESS' }];
+        }
+
+        if (endpoint === 'refresh_access_token' && method === 'GET') {
+            return [200, { access_token: `MOCK_REFRESHED_${Date.now()}`, token_type: 'bearer', expires_in: 60 * 24 * 60 * 60 }];
+        }
+
+        if (endpoint === 'debug_token' && method === 'GET') {
+            return [200, {
+                data: {
+                    is_valid: true,
+                    expires_at: Math.floor(Date.now() / 1000) + 30 * 24 * 60 * 60,
+                    scopes: ['instagram_business_basic', 'instagram_business_content_publish'],
+                },
+            }];
+        }
+
+        if (endpoint === 'media' && method === 'POST') {
+            const isCarousel = params.media_type === 'CAROUSEL';
+            if (isCarousel) {
+                const children = (params.children || '').split(',').filter(Boolean);
+                const unknown = children.filter(id => !state.containers.has(id));
+                if (children.length < 2 || unknown.length > 0) {
+                    return [400, graphError(100, `Invalid children: ${unknown.join(',') || 'need at least 2'}`)];
+                }
+            } else if (params.media_type === 'REELS') {
+                if (!params.video_url) {
+                    return [400, graphError(100, 'The parameter video_url is required')];
+                }
+            } else if (!params.image_url) {
+                return [400, graphError(100, 'The parameter image_url is required')];
+            }
+
+            const id = newId('9000');
+            const order = state.containers.size + 1;
+            state.containers.set(id, {
+                id,
+                order,
+                params,
+                polls: 0,
+                status: 'IN_PROGRESS',
+                willFail: errorContainers.includes(order),
+            });
+            return [200, { id }];
+        }
+
+        if (endpoint === 'status' && method === 'GET') {
+            const container = state.containers.get(parts[0]);
+            if (!container) {
+                return [400, graphError(100, `Unsupported get request. Object with ID '${parts[0]}' does not exist`, 33)];
+            }
+            container.polls++;
+            if (container.status === 'IN_PROGRESS' && container.polls > inProgressPolls) {
+                container.status = container.willFail ? 'ERROR' : 'FINISHED';
+            }
+            return [200, {
+                id: container.id,
+                status_code: container.status,
+                status: container.status === 'ERROR' ? 'Error: Media download failed (mock)' : container.status,
+            }];
+        }
+
+        if (endpoint === 'media_publish' && method === 'POST') {
+            const container = state.containers.get(params.creation_id);
+            if (!container) {
+                return [400, graphError(100, `Invalid creation_id ${params.creation_id}`)];
+            }
+            if (container.status !== 'FINISHED') {
+                return [400, graphError(9007, `Media ID is not available (status ${container.status})`, 2207027)];
+            }
+            container.status = 'PUBLISHED';
+            const mediaId = newId('1800');
+            state.published.push({ mediaId, containerId: container.id, params: container.params });
+            if (lostPublishes.includes(state.calls.media_publish)) {
+                return [503, graphError(2)];
+            }
+            return [200, { id: mediaId }];
+        }
+
+        return [405, graphError(100, `Unsupported ${method} request to ${pathname}`)];
+    }
+
+    const server = http.createServer(async (req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        let body = '';
+        for await (const chunk of req) body += chunk;
+
+        const params = Object.fromEntries(url.searchParams);
+        if (body) Object.assign(params, Object.fromEntries(new URLSearchParams(body)));
+
+        const [status, payload] = route(req.method, url.pathname, params);
+        state.requests.push({ method: req.method, path: url.pathname, status });
+        if (!quiet) console.log(`  [mock-graph] ${req.method} ${url.pathname} → ${status}`);
+
+        if (delayMs) await sleep(delayMs);
+
+        const headers = { 'Content-Type': 'application/json' };
+        if (usagePercent) {
+            headers['X-App-Usage'] = JSON.stringify({ call_count: usagePercent, total_cputime: 1, total_time: 1 });
+        }
+        res.writeHead(status, headers);
+        res.end(JSON.stringify(payload));
+    });
+
+    await new Promise(resolve => server.listen(port, '127.0.0.1', resolve));
+    const actualPort = server.address().port;
+
+    return {
+        url: `http://127.0.0.1:${actualPort}/v21.0`,
+        state,
+        close: () => new Promise(resolve => server.close(resolve)),
+    };
+}
+
+// ─── CLI ───
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    const args = process.argv.slice(2);
+    const valuesOf = flag => args.flatMap((a, i) => (a === flag && args[i + 1] ? [args[i + 1]] : []));
+    const numberOf = (flag, fallback) => (valuesOf(flag).length ? parseInt(valuesOf(flag)[0], 10) : fallback);
+
+    const server = await startMockGraphServer({
+        port: numberOf('--port', 4010),
+        delayMs: numberOf('--delay', 0),
+        inProgressPolls: numberOf('--in-progress', 1),
+        errorContainers: valuesOf('--error-container').map(n => parseInt(n, 10)),
+        failures: valuesOf('--fail').map(parseFailure),
+        lostPublishes: valuesOf('--lose-publish').map(n => parseInt(n, 10)),
+        usagePercent: numberOf('--usage', 0),
+    });
+
+    console.log('\n🧪 Mock Instagram Graph API running');
+    console.log(`   ${server.url}`);
+    console.log(`\n   INSTAGRAM_GRAPH_API_BASE=${server.url} node src/post-carousels.js --post-index 1\n`);
+}
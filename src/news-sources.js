@@ -0,0 +1,307 @@
+/**
+ * news-sources.js
+ *
+ * Source ingestion for content generation. Pulls real news items from the
+ * RSS/Atom feeds in config/sources.json plus any JSON/CSV files dropped in
+ * sources/inbox/, normalises them to { title, url, date, summary, source },
+ * de-duplicates, keeps the freshest candidates and snapshots them to
+ * sources/snapshots/<date>.json so later stages (and humans) can see exactly
+ * what the model was given. When recording LLM fixtures (LLM_CACHE_MODE=record)
+ * fact-check.js adds the article text it fetched ("articles", by URL), so a
+ * replayed run can rebuild the same prompts. Snapshots are local working
+ * files and are not committed (.gitignore): article text is third-party
+ * content.
+ */
+
+import axios from "axios";
+import { XMLParser } from "fast-xml-parser";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const ROOT = path.resolve(__dirname, "..");
+
+const SOURCES_CONFIG = path.resolve(ROOT, "config", "sources.json");
+const SUMMARY_MAX_CHARS = 400;
+
+export function loadSourcesConfig() {
+    return JSON.parse(fs.readFileSync(SOURCES_CONFIG, "utf-8"));
+}
+
+// ==============================
+// Normalisation helpers
+// ==============================
+function textOf(node) {
+    if (node == null) return "";
+    if (typeof node === "string" || typeof node === "number") return String(node);
+    if (Array.isArray(node)) return textOf(node[0]);
+    return textOf(node["#text"] ?? node.__cdata ?? "");
+}
+
+function stripHtml(s) {
+    return String(s)
+        .replace(/<[^>]*>/g, " ")
+        .replace(/&nbsp;/g, " ")
+        .replace(/&amp;/g, "&")
+        .replace(/&lt;/g, "<")
+        .replace(/&gt;/g, ">")
+        .replace(/&quot;/g, "\"")
+        .replace(/&#39;|&apos;/g, "'")
+        .replace(/&#(\d+);/g, (_, n) => String.fromCodePoint(Number(n)))
+        .replace(/\s+/g, " ")
+        .trim();
+}
+
+function clip(s, max) {
+    return s.length > max ? `${s.slice(0, max - 1).trimEnd()}…` : s;
+}
+
+/**
+ * Canonical form of a URL for de-duplication and matching (no tracking params,
+ * fragment or trailing slash).
+ */
+export function canonicalUrl(url) {
+    try {
+        const u = new URL(String(url).trim());
+        u.hash = "";
+        for (const key of [...u.searchParams.keys()]) {
+            if (/^(utm_|ref$|source$|fbclid$|gclid$)/i.test(key)) u.searchParams.delete(key);
+        }
+        return u.toString().replace(/\/$/, "");
+    } catch {
+        return null;
+    }
+}
+
+function normaliseItem(raw, sourceName) {
+    const title = stripHtml(textOf(raw.title));
+    const url = canonicalUrl(textOf(raw.url));
+    if (!title || !url || !/^https?:/.test(url)) return null;
+
+    const parsedDate = raw.date ? new Date(textOf(raw.date)) : null;
+    const date = parsedDate && !isNaN(parsedDate) ? parsedDate.toISOString() : null;
+
+    return {
+        title,
+        url,
+        date,
+        summary: clip(stripHtml(textOf(raw.summary)), SUMMARY_MAX_CHARS),
+        source: sourceName,
+    };
+}
+
+// ==============================
+// Feeds (RSS 2.0, RSS 1.0/RDF, Atom)
+// ==============================
+const xmlParser = new XMLParser({
+    ignoreAttributes: false,
+    attributeNamePrefix: "@_",
+    cdataPropName: "__cdata",
+});
+
+function asArray(x) {
+    return x == null ? [] : Array.isArray(x) ? x : [x];
+}
+
+function atomLink(links) {
+    const all = asArray(links);
+    const alt = all.find(l => !l["@_rel"] || l["@_rel"] === "alternate") || all[0];
+    return alt ? alt["@_href"] || textOf(alt) : "";
+}
+
+export function parseFeed(xml, sourceName) {
+    const doc = xmlParser.parse(xml);
+
+    const rssItems = asArray(doc?.rss?.channel?.item).concat(asArray(doc?.["rdf:RDF"]?.item));
+    const atomEntries = asArray(doc?.feed?.entry);
+
+    const raws = [
+        ...rssItems.map(i => ({
+            title: i.title,
+            url: textOf(i.link) || (i.guid?.["@_isPermaLink"] !== "false" ? textOf(i.guid) : ""),
+            date: i.pubDate || i["dc:date"],
+            summary: i.description || i["content:encoded"],
+        })),
+        ...atomEntries.map(e => ({
+            title: e.title,
+            url: atomLink(e.link),
+            date: e.published || e.updated,
+            summary: e.summary || e.content,
+        })),
+    ];
+
+    return raws.map(r => normaliseItem(r, sourceName)).filter(Boolean);
+}
+
+async function fetchFeed(feed) {
+    const res = await axios.get(feed.url, {
+        timeout: 15000,
+        responseType: "text",
+        headers: {
+            "User-Agent": "dailyainewsone-content-bot/2.0 (+https://github.com/Jenisbarad/AIautopost)",
+            Accept: "application/rss+xml, application/atom+xml, application/xml, text/xml",
+        },
+    });
+    return parseFeed(res.data, feed.name);
+}
+
+// ==============================
+// Local drops (JSON / CSV)
+// ==============================
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = "";
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const c = text[i];
+        if (quoted) {
+            if (c === "\"" && text[i + 1] === "\"") { field += "\""; i++; }
+            else if (c === "\"") quoted = false;
+            else field += c;
+        } else if (c === "\"") {
+            quoted = true;
+        } else if (c === ",") {
+            row.push(field); field = "";
+        } else if (c === "\n" || c === "\r") {
+            if (c === "\r" && text[i + 1] === "\n") i++;
+            row.push(field); field = "";
+            if (row.some(f => f.trim())) rows.push(row);
+            row = [];
+        } else {
+            field += c;
+        }
+    }
+    row.push(field);
+    if (row.some(f => f.trim())) rows.push(row);
+
+    const [header = [], ...data] = rows;
+    const keys = header.map(h => h.trim().toLowerCase());
+    return data.map(r => Object.fromEntries(keys.map((k, i) => [k, (r[i] || "").trim()])));
+}
+
+function readDrops(dropDir) {
+    const dir = path.resolve(ROOT, dropDir);
+    if (!fs.existsSync(dir)) return [];
+
+    const items = [];
+    for (const name of fs.readdirSync(dir).sort()) {
+        const file = path.resolve(dir, name);
+        const sourceName = `local:${name}`;
+        try {
+            if (name.endsWith(".json")) {
+                const parsed = JSON.parse(fs.readFileSync(file, "utf-8"));
+                const list = Array.isArray(parsed) ? parsed : asArray(parsed.items);
+                items.push(...list.map(r => normaliseItem({ ...r, url: r.url || r.link }, sourceName)).filter(Boolean));
+            } else if (name.endsWith(".csv")) {
+                const list = parseCsv(fs.readFileSync(file, "utf-8"));
+                items.push(...list.map(r => normaliseItem({ ...r, url: r.url || r.link }, sourceName)).filter(Boolean));
+            }
+        } catch (err) {
+            console.log(`⚠️  Skipping ${dropDir}/${name}: ${err.message}`);
+        }
+    }
+    return items;
+}
+
+// ==============================
+// Main entry
+// ==============================
+/**
+ * Collect, normalise and rank source items for a target date.
+ * @param {string} targetDate - YYYY-MM-DD (IST)
+ * @returns {Promise<{ items: object[], feeds: object[], snapshotPath: string }>}
+ */
+export async function collectSources(targetDate) {
+    const cfg = loadSourcesConfig();
+    const feedsStatus = [];
+    const all = [];
+
+    for (const feed of cfg.feeds || []) {
+        try {
+            const items = await fetchFeed(feed);
+            const recent = items
+                .sort((a, b) => (b.date || "").localeCompare(a.date || ""))
+                .slice(0, cfg.maxPerFeed || items.length);
+            all.push(...recent);
+            feedsStatus.push({ name: feed.name, url: feed.url, ok: true, items: recent.length });
+            console.log(`  📰 ${feed.name}: ${recent.length} item(s)`);
+        } catch (err) {
+            feedsStatus.push({ name: feed.name, url: feed.url, ok: false, error: err.message });
+            console.log(`  ⚠️  ${feed.name}: ${err.message}`);
+        }
+    }
+
+    const drops = readDrops(cfg.dropDir || "sources/inbox");
+    if (drops.length > 0) console.log(`  📥 Local drops: ${drops.length} item(s)`);
+    all.push(...drops);
+
+    // Window ends at the end of the target day in IST
+    const windowEnd = new Date(`${targetDate}T23:59:59+05:30`).getTime();
+    const windowStart = windowEnd - (cfg.maxAgeHours || 48) * 60 * 60 * 1000;
+
+    const seen = new Set();
+    const items = all
+        .filter(i => !i.date || (Date.parse(i.date) >= windowStart && Date.parse(i.date) <= windowEnd))
+        .filter(i => {
+            const key = i.url;
+            const titleKey = i.title.toLowerCase();
+            if (seen.has(key) || seen.has(titleKey)) return false;
+            seen.add(key);
+            seen.add(titleKey);
+            return true;
+        })
+        .sort((a, b) => (b.date || "9999").localeCompare(a.date || "9999"))
+        .slice(0, cfg.maxCandidates || 20);
+
+    const snapshotPath = sourceSnapshotPath(targetDate);
+    fs.mkdirSync(path.dirname(snapshotPath), { recursive: true });
+    fs.writeFileSync(snapshotPath, JSON.stringify({
+        date: targetDate,
+        fetchedAt: new Date().toISOString(),
+        feeds: feedsStatus,
+        items,
+    }, null, 2) + "\n");
+
+    return { items, feeds: feedsStatus, snapshotPath };
+}
+
+export function sourceSnapshotPath(targetDate) {
+    const cfg = loadSourcesConfig();
+    return path.resolve(ROOT, cfg.snapshotDir || "sources/snapshots", `${targetDate}.json`);
+}
+
+/**
+ * Load a previously written snapshot (used by later pipeline stages).
+ */
+export function loadSourceSnapshot(targetDate) {
+    const file = sourceSnapshotPath(targetDate);
+    return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf-8")) : null;
+}
+
+/**
+ * Store fetched article text (by URL) in a day's snapshot, creating the
+ * snapshot if that day has none.
+ */
+export function saveSnapshotArticles(targetDate, articles) {
+    const file = sourceSnapshotPath(targetDate);
+    const snapshot = loadSourceSnapshot(targetDate) || { date: targetDate, items: [] };
+    snapshot.articles = { ...(snapshot.articles || {}), ...articles };
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(snapshot, null, 2) + "\n");
+}
+
+/**
+ * Render candidate items as a numbered block for the prompt.
+ */
+export function formatSourcesForPrompt(items) {
+    return items.map((item, i) => [
+        `[${i + 1}] ${item.title}`,
+        `    Source: ${item.source}${item.date ? ` — ${item.date.slice(0, 10)}` : ""}`,
+        `    URL: ${item.url}`,
+        item.summary ? `    Summary: ${item.summary}` : null,
+    ].filter(Boolean).join("\n")).join("\n\n");
+}
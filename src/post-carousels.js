@@ -3,37 +3,85 @@
  *
  * Autonomous Instagram carousel posting pipeline:
  *   1. Load content JSON for today's date
- *   2. Build public GitHub raw URLs for slide images
- *   3. Post each set of slides as an Instagram carousel
+ *   2. Collect the captured slide images
+ *   3. Publish each post's files to the image host and post the slides as an
+ *      Instagram carousel
  *
  * Usage:
  *   node src/post-carousels.js                      → post all carousels
  *   node src/post-carousels.js --dry-run             → simulate everything
  *   node src/post-carousels.js --post-index 2        → only post #2
  *   node src/post-carousels.js --post-index 2 --dry-run
+ *   node src/post-carousels.js --post-index 2 --force → re-post even if already published
+ *   node src/post-carousels.js --allow-unsupported   → publish posts that failed fact-check
+ *   node src/post-carousels.js --as-reel             → publish every post as a Reel
  *
- * No ImgBB needed — uses GitHub raw URLs directly.
+ * Posts whose fact-check verdict is "unsupported" are not published and make
+ * the run exit 1 once the other posts are done.
+ *
+ * Posts with "publishAs": "reel" (or all posts with --as-reel) are published
+ * as Reels from images/captured/<date>/post<N>.mp4 — render those first with
+ * node src/reel-video.js.
+ *
+ * Slides are the JPEG publish files listed in mapping.json (see
+ * jpeg-export.js); older folders without them use the PNGs.
+ *
+ * With INSTAGRAM_STORIES_ENABLED=true, each newly published post's story card
+ * (post<N>_story.jpg from generate-images.js) is then shared to Stories; a
+ * failed Story is only a warning and never undoes the post.
+ *
+ * Every successful publish is recorded in state/published.json; posts found
+ * there (same date, post id and content) are skipped unless --force is given.
+ * Containers of a half-finished publish are kept in state/in-flight/ and
+ * reused by the next attempt.
+ *
+ * Slides of a carousel must share one aspect ratio (Instagram crops the rest
+ * to the first slide's); posts that don't are skipped.
+ *
+ * CONTENT_DIR and CAPTURED_IMAGES_DIR (default content/ and images/captured/)
+ * move where content and images are read from, e.g. to a test fixture.
+ *
+ * Public URLs come from the image host in config/image-hosts.json (IMAGE_HOST:
+ * GitHub raw by default, or an S3-compatible bucket / static directory that
+ * files are uploaded to right before their post), see image-hosts.js.
  */
 
 import path from 'path';
 import { fileURLToPath } from 'url';
 import fs from 'fs';
 import { config, validateConfig } from './config.js';
-import { validateToken, getInstagramAccountId, postCarousel } from './instagram-poster.js';
+import { validateToken, getInstagramAccountId, postCarousel, postReel, postStory } from './instagram-poster.js';
+import { loadLedger, findPublished, recordPublished, recordStory } from './publish-ledger.js';
+import { checkTokenExpiry } from './token-manager.js';
+import { assertValidContent } from './content-schema.js';
+import { readImageInfo } from './image-info.js';
+import { sameRatio } from './slide-formats.js';
+import { wantsReel, reelFilename } from './reel-video.js';
+import { slideAltText } from './alt-text.js';
+import { createImageHost, keyForFile } from './image-hosts.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 const ROOT = path.resolve(__dirname, '..');
 
+// Where content JSON and captured images are read from (tests point these at fixtures/)
+const CONTENT_DIR = path.resolve(ROOT, process.env.CONTENT_DIR || 'content');
+const CAPTURED_DIR = path.resolve(ROOT, process.env.CAPTURED_IMAGES_DIR || path.join('images', 'captured'));
+
 function sleep(ms) {
     return new Promise(resolve => setTimeout(resolve, ms));
 }
 
 // ======================================
-// STEP 1: BUILD GITHUB RAW IMAGE URLS
+// STEP 1: COLLECT SLIDE IMAGES
 // ======================================
-function buildGitHubImageUrls(capturedDir, capturedRelDir, onlyPostIndex = null) {
-    console.log('\n🔗 STEP 1: Building GitHub raw image URLs');
+/**
+ * Slides to publish, by post number. mapping.json from generate-images.js
+ * names each slide's JPEG publish file; folders from before the JPEG export
+ * (plain list mapping) fall back to the PNGs on disk.
+ */
+function collectSlideImages(capturedDir, onlyPostIndex = null) {
+    console.log('\n🔗 STEP 1: Collecting slide images');
     console.log('━'.repeat(50));
 
     if (!fs.existsSync(capturedDir)) {
@@ -41,16 +89,32 @@ function buildGitHubImageUrls(capturedDir, capturedRelDir, onlyPostIndex = null)
         process.exit(1);
     }
 
-    const files = fs.readdirSync(capturedDir).filter(f => f.endsWith('.png'));
-    if (files.length === 0) {
-        console.error('❌ No PNG images found in images/captured/');
+    const mappingPath = path.resolve(capturedDir, 'mapping.json');
+    const mapping = fs.existsSync(mappingPath) ? JSON.parse(fs.readFileSync(mappingPath, 'utf-8')) : {};
+    const usesPublishFiles = Object.values(mapping).flat().some(entry => entry?.publish);
+
+    const candidates = [];
+    if (usesPublishFiles) {
+        for (const entries of Object.values(mapping)) {
+            for (const entry of entries) {
+                candidates.push(path.resolve(ROOT, entry.publish));
+            }
+        }
+    } else {
+        candidates.push(...fs.readdirSync(capturedDir).filter(f => f.endsWith('.png')).map(f => path.resolve(capturedDir, f)));
+    }
+
+    if (candidates.length === 0) {
+        console.error(`❌ No slide images found in ${path.relative(ROOT, capturedDir)}/`);
         process.exit(1);
     }
 
     const imagesByPost = {};
+    const incomplete = new Set();
 
-    for (const filename of files) {
-        const match = filename.match(/post(\d+)_slide(\d+)\.png/);
+    for (const filePath of candidates) {
+        const filename = path.basename(filePath);
+        const match = filename.match(/post(\d+)_slide(\d+)\.(png|jpg)$/);
         if (!match) continue;
 
         const postNum = parseInt(match[1]);
@@ -59,12 +123,22 @@ function buildGitHubImageUrls(capturedDir, capturedRelDir, onlyPostIndex = null)
         // Skip posts we won't be posting
         if (onlyPostIndex !== null && postNum !== onlyPostIndex) continue;
 
-        const rawUrl = `${config.github.rawBaseUrl}/${capturedRelDir}/${filename}`;
+        if (!fs.existsSync(filePath)) {
+            console.error(`  ❌ Post ${postNum}, Slide ${slideNum}: ${path.relative(ROOT, filePath)} is listed in mapping.json but missing`);
+            incomplete.add(postNum);
+            continue;
+        }
 
         if (!imagesByPost[postNum]) imagesByPost[postNum] = [];
-        imagesByPost[postNum].push({ slideNum, url: rawUrl, filename });
+        imagesByPost[postNum].push({ slideNum, filename, filePath });
 
-        console.log(`  ✅ Post ${postNum}, Slide ${slideNum} → ${rawUrl}`);
+        console.log(`  ✅ Post ${postNum}, Slide ${slideNum} → ${path.relative(ROOT, filePath)}`);
+    }
+
+    // A carousel with a slide missing would go out with a gap; skip the post
+    for (const postNum of incomplete) {
+        console.error(`  ❌ Post ${postNum}: slides missing on disk, skipping (re-run generate-images.js)`);
+        delete imagesByPost[postNum];
     }
 
     // Sort slides within each post
@@ -73,18 +147,82 @@ function buildGitHubImageUrls(capturedDir, capturedRelDir, onlyPostIndex = null)
     }
 
     const totalSlides = Object.values(imagesByPost).flat().length;
-    console.log(`\n  📊 ${totalSlides} image URLs ready.\n`);
+    console.log(`\n  📊 ${totalSlides} slide images found.\n`);
     return imagesByPost;
 }
 
+// ======================================
+// STEP 1b: VERIFY SLIDE ASPECT RATIOS
+// ======================================
+/**
+ * Drop posts whose slides don't share one ratio (or don't match the format
+ * recorded in meta.json by generate-images.js).
+ */
+function verifyCarouselFormats(imagesByPost, capturedDir) {
+    const metaPath = path.resolve(capturedDir, 'meta.json');
+    const meta = fs.existsSync(metaPath) ? JSON.parse(fs.readFileSync(metaPath, 'utf-8')) : {};
+    const format = meta.format || null;
+    console.log(`  📐 Format: ${format ? `${format.name} ${format.ratio} (${format.width}x${format.height})` : 'not recorded in meta.json'}`);
+
+    for (const [postNum, images] of Object.entries(imagesByPost)) {
+        const sizes = images.map(img => ({ ...img, ...readImageInfo(img.filePath) }));
+        const reference = format || sizes[0];
+        const off = sizes.filter(s => !sameRatio(s, reference));
+        if (off.length > 0) {
+            console.error(`  ❌ Post ${postNum}: slides don't share one aspect ratio, skipping:`);
+            off.forEach(s => console.error(`     ✗ ${s.filename} is ${s.width}x${s.height}, expected ${reference.width}x${reference.height}`));
+            delete imagesByPost[postNum];
+        }
+    }
+    console.log('');
+}
+
 // ========================
 // STEP 2: POST CAROUSELS
 // ========================
-async function postAllCarousels(imagesByPost, content, igAccountId, dryRun = false, onlyPostIndex = null) {
+/**
+ * Public URL of a local file: uploaded through the image host, or only
+ * resolved in a dry run.
+ */
+async function publishFile(imageHost, filePath, dryRun) {
+    if (dryRun) return imageHost.urlFor(keyForFile(filePath));
+    const url = await imageHost.publish(filePath);
+    if (imageHost.uploads) console.log(`  ☁️  ${path.basename(filePath)} → ${url}`);
+    return url;
+}
+
+/**
+ * Share a just-published post's story card. Failures are logged, not thrown:
+ * the post itself is already live.
+ */
+async function shareStory(ledger, post, igAccountId, dryRun, { dateTag, capturedDir, imageHost }) {
+    // The JPEG export when there is one, else the PNG master
+    const filename = [`post${post.id}_story.jpg`, `post${post.id}_story.png`]
+        .find(f => fs.existsSync(path.resolve(capturedDir, f))) || `post${post.id}_story.png`;
+    const filePath = path.resolve(capturedDir, filename);
+    if (!fs.existsSync(filePath)) {
+        console.log(`  ⚠️  No story card (${filename}), not sharing to Stories.`);
+        return;
+    }
+
+    try {
+        const storyUrl = await publishFile(imageHost, filePath, dryRun);
+        const storyId = await postStory(igAccountId, storyUrl, dryRun);
+        if (!dryRun) recordStory(ledger, dateTag, post, { mediaId: storyId });
+    } catch (err) {
+        console.error(`  ⚠️  Story for post ${post.id} failed (post is published): ${err.message}`);
+    }
+}
+
+async function postAllCarousels(imagesByPost, content, igAccountId, dryRun = false, onlyPostIndex = null, options = {}) {
+    const { dateTag, force = false, allowUnsupported = false, asReel = false, capturedDir, imageHost } = options;
+
     console.log('\n🚀 STEP 2: Posting carousels to Instagram');
     console.log('━'.repeat(50));
 
     const posts = content.posts;
+    const ledger = loadLedger();
+    const blocked = [];
 
     for (let i = 0; i < posts.length; i++) {
         const post = posts[i];
@@ -99,21 +237,86 @@ async function postAllCarousels(imagesByPost, content, igAccountId, dryRun = fal
             continue;
         }
 
-        const imageUrls = postImages.map(img => img.url);
+        const altTexts = slideAltText(post);
+
+        // Fact-check gate (see fact-check.js)
+        const verdict = post.factCheck?.verdict;
+        if (verdict === 'unsupported' && !allowUnsupported) {
+            const bad = post.factCheck.claims.filter(c => c.verdict === 'unsupported');
+            console.log(`\n  🛑 Post ${postNum}: ${bad.length} unsupported claim(s), not publishing:`);
+            bad.forEach(c => console.log(`     ✗ ${c.text}`));
+            console.log('     Fix the content or use --allow-unsupported.');
+            blocked.push(postNum);
+            continue;
+        }
+        if (verdict === 'unsupported') {
+            console.log(`\n  ⚠️  Post ${postNum}: has unsupported claims — --allow-unsupported given, posting anyway.`);
+        } else if (verdict === 'unknown') {
+            console.log(`\n  ❔ Post ${postNum}: some claims could not be verified against sources.`);
+        } else if (!verdict) {
+            console.log(`\n  ❔ Post ${postNum}: not fact-checked.`);
+        }
+
+        // Never publish the same carousel twice (re-triggered runs, manual re-posts)
+        const published = findPublished(ledger, dateTag, post);
+        if (published && !force) {
+            console.log(`\n  ⏭️  Post ${postNum}: already published at ${published.publishedAt} (media ${published.mediaId}), skipping.`);
+            console.log('     Use --force to publish it again.');
+            continue;
+        }
+        if (published) {
+            console.log(`\n  ⚠️  Post ${postNum}: already published at ${published.publishedAt} — --force given, posting again.`);
+        }
+
+        // Reels publish the rendered MP4 instead of the slides
+        const isReel = wantsReel(post, asReel);
+        const videoFile = path.resolve(capturedDir, reelFilename(postNum));
+        if (isReel && !fs.existsSync(videoFile)) {
+            console.log(`\n  ⚠️  Post ${postNum}: no Reel video at ${path.relative(ROOT, videoFile)}, skipping.`);
+            console.log(`     Render it with: node src/reel-video.js --date ${dateTag} --post-index ${postNum}`);
+            continue;
+        }
 
         console.log(`\n  ┌─────────────────────────────────────────┐`);
         console.log(`  │ POST ${postNum}: ${post.topic.padEnd(33)}│`);
-        console.log(`  │ Slides: ${imageUrls.length}${' '.repeat(33)}│`);
+        const shape = isReel ? `Reel (${postImages.length} slides)` : `Slides: ${postImages.length}`;
+        console.log(`  │ ${shape.padEnd(40)}│`);
         console.log(`  └─────────────────────────────────────────┘`);
 
         try {
-            const postId = await postCarousel(
-                igAccountId,
-                imageUrls,
-                post.caption,
-                dryRun
-            );
-            console.log(`  ✅ Post ${postNum} done! ID: ${postId}`);
+            // Only now upload: skipped posts never reach the image host
+            let videoUrl = null;
+            const imageUrls = [];
+            if (isReel) {
+                videoUrl = await publishFile(imageHost, videoFile, dryRun);
+            } else {
+                for (const img of postImages) {
+                    imageUrls.push(await publishFile(imageHost, img.filePath, dryRun));
+                }
+            }
+
+            const resumeKey = `${dateTag}_post${postNum}`;
+            const postId = isReel
+                ? await postReel(igAccountId, videoUrl, post.caption, dryRun, { resumeKey })
+                : await postCarousel(igAccountId, imageUrls, post.caption, dryRun, {
+                    resumeKey,
+                    altTexts: postImages.map(img => altTexts[img.slideNum - 1]),
+                });
+            console.log(`  ✅ Post ${postNum} done! ID: ${postId ?? 'unknown'}`);
+
+            if (!dryRun) {
+                recordPublished(ledger, dateTag, post, {
+                    mediaId: postId,
+                    slideUrls: isReel ? [videoUrl] : imageUrls,
+                    forced: Boolean(published),
+                    mediaType: isReel ? 'REELS' : 'CAROUSEL',
+                });
+                console.log(`  📒 Recorded in publish ledger.`);
+            }
+
+            if (config.instagram.stories.enabled) {
+                await shareStory(ledger, post, igAccountId, dryRun, { dateTag, capturedDir, imageHost });
+            }
         } catch (err) {
             console.error(`  ❌ Post ${postNum} failed: ${err.message}`);
         }
@@ -126,6 +329,8 @@ async function postAllCarousels(imagesByPost, content, igAccountId, dryRun = fal
             await sleep(spacingMs);
         }
     }
+
+    return { blocked };
 }
 
 // ========================
@@ -134,16 +339,19 @@ async function postAllCarousels(imagesByPost, content, igAccountId, dryRun = fal
 async function main() {
     const args = process.argv.slice(2);
     const dryRun = args.includes('--dry-run');
+    const force = args.includes('--force');
+    const allowUnsupported = args.includes('--allow-unsupported');
+    const asReel = args.includes('--as-reel');
     const postIndexArg = args.indexOf('--post-index');
     const onlyPostIndex = postIndexArg !== -1 ? parseInt(args[postIndexArg + 1]) : null;
 
     console.log('\n╔══════════════════════════════════════════════╗');
     console.log('║   📸 Instagram Carousel Auto-Publisher       ║');
     console.log('║   @dailyainewsone                            ║');
-    console.log('║   Using GitHub Raw URLs (no ImgBB)           ║');
     console.log('╚══════════════════════════════════════════════╝');
 
     if (dryRun) console.log('\n  🧪 DRY RUN MODE — no actual posts.\n');
+    if (force) console.log('\n  ⚠️  FORCE MODE — publish ledger will not block re-posts.\n');
 
     // Validate config
     const configErrors = validateConfig();
@@ -162,6 +370,9 @@ async function main() {
             process.exit(1);
         }
         console.log(`  ✅ Logged in as: ${tokenCheck.name}`);
+        await checkTokenExpiry().catch(err => {
+            console.log(`  ⚠️  Could not check token expiry: ${err.message}`);
+        });
     } else {
         console.log('  🧪 [DRY RUN] Skipping token validation.');
     }
@@ -170,40 +381,52 @@ async function main() {
     const igAccountId = dryRun ? 'DRY_RUN_ID' : await getInstagramAccountId();
 
     // Load content — auto-detect latest JSON file from content/
-    const contentDir = path.resolve(ROOT, 'content');
+    const contentDir = CONTENT_DIR;
     const jsonFiles = fs.readdirSync(contentDir)
         .filter(f => f.endsWith('.json'))
         .sort()
         .reverse();
 
     if (jsonFiles.length === 0) {
-        console.error('No content JSON files found in content/');
+        console.error(`No content JSON files found in ${path.relative(ROOT, contentDir)}/`);
         process.exit(1);
     }
 
     const contentFile = jsonFiles[0];
     const contentPath = path.resolve(contentDir, contentFile);
     const content = JSON.parse(fs.readFileSync(contentPath, 'utf-8'));
+    assertValidContent(content, contentFile);
     console.log(`\n📄 Loaded ${content.posts.length} posts from ${contentFile}`);
 
-    // STEP 1: Build GitHub raw image URLs (no uploads needed!)
+    // STEP 1: Collect slide images
     // Prefer date-scoped folder to avoid Instagram caching old URLs.
     const dateTag = content?.date || contentFile.replace(/\.json$/i, '');
-    const capturedDirDated = path.resolve(ROOT, 'images', 'captured', dateTag);
-    const capturedDirFlat = path.resolve(ROOT, 'images', 'captured');
+    const capturedDirDated = path.resolve(CAPTURED_DIR, dateTag);
+    const capturedDirFlat = CAPTURED_DIR;
 
     let capturedDir = capturedDirDated;
-    let capturedRelDir = `images/captured/${dateTag}`;
     if (!fs.existsSync(capturedDirDated)) {
         capturedDir = capturedDirFlat;
-        capturedRelDir = 'images/captured';
-        console.log(`\n⚠️  Dated images folder not found (${capturedDirDated}). Falling back to images/captured/`);
+        console.log(`\n⚠️  Dated images folder not found (${capturedDirDated}). Falling back to ${path.relative(ROOT, capturedDirFlat)}/`);
     }
 
-    const imagesByPost = buildGitHubImageUrls(capturedDir, capturedRelDir, onlyPostIndex);
+    const imagesByPost = collectSlideImages(capturedDir, onlyPostIndex);
+    verifyCarouselFormats(imagesByPost, capturedDir);
+
+    const imageHost = createImageHost();
+    console.log(`  🗄️  Image host: ${imageHost.label} (${imageHost.name})`);
 
     // STEP 2: Post carousels
-    await postAllCarousels(imagesByPost, content, igAccountId, dryRun, onlyPostIndex);
+    const { blocked } = await postAllCarousels(imagesByPost, content, igAccountId, dryRun, onlyPostIndex, {
+        dateTag, force, allowUnsupported, asReel, capturedDir, imageHost,
+    });
+
+    // Blocked posts are a failed run: someone has to fix the content
+    if (blocked.length > 0) {
+        console.error(`\n❌ ${blocked.length} post(s) blocked by fact-check (post ${blocked.join(', ')}).`);
+        console.error('   Fix the claims in the content JSON, or re-run with --allow-unsupported.\n');
+        process.exit(1);
+    }
 
     console.log('\n╔══════════════════════════════════════════════╗');
     console.log('║   ✅ Pipeline complete!                      ║');
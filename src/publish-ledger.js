@@ -0,0 +1,112 @@
+/**
+ * publish-ledger.js
+ *
+ * Durable record of every carousel that went live, stored in
+ * state/published.json. Entries are keyed by content date + post id +
+ * content hash, so a re-triggered workflow run (or a manual --post-index
+ * after the cron already fired) can tell the post is already published.
+ *
+ * Each entry doubles as an audit trail: Instagram media ID, publish time
+ * and the exact slide URLs that were sent.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { config } from './config.js';
+
+const LEDGER_VERSION = 1;
+
+function ledgerPath() {
+    return path.resolve(config.state.dir, 'published.json');
+}
+
+/**
+ * Short, stable hash of the parts of a post that end up on Instagram.
+ * Regenerated content for the same date/post id gets a new hash.
+ */
+export function contentHash(post) {
+    const payload = JSON.stringify({
+        topic: post.topic,
+        slideContent: post.slideContent,
+        caption: post.caption,
+    });
+    return crypto.createHash('sha256').update(payload).digest('hex').slice(0, 16);
+}
+
+function entryKey(date, postId, hash) {
+    return `${date}:${postId}:${hash}`;
+}
+
+/**
+ * Load the ledger from disk (empty ledger if it doesn't exist yet).
+ */
+export function loadLedger() {
+    const file = ledgerPath();
+    if (!fs.existsSync(file)) {
+        return { version: LEDGER_VERSION, entries: {} };
+    }
+
+    const ledger = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    if (!ledger.entries || typeof ledger.entries !== 'object') {
+        throw new Error(`Publish ledger is corrupt (no "entries" object): ${file}`);
+    }
+    return ledger;
+}
+
+/**
+ * Write the ledger atomically (temp file + rename) so a crash mid-write
+ * never leaves a half-written JSON file behind.
+ */
+function saveLedger(ledger) {
+    const file = ledgerPath();
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(ledger, null, 2) + '\n');
+    fs.renameSync(tmp, file);
+}
+
+/**
+ * Return the ledger entry for this exact post content, or null.
+ */
+export function findPublished(ledger, date, post) {
+    const key = entryKey(date, post.id, contentHash(post));
+    return ledger.entries[key] || null;
+}
+
+/**
+ * Record a successful publish. Call only after publishMedia returned.
+ */
+export function recordPublished(ledger, date, post, { mediaId, slideUrls, forced = false, mediaType = 'CAROUSEL' }) {
+    const hash = contentHash(post);
+    const key = entryKey(date, post.id, hash);
+
+    ledger.entries[key] = {
+        date,
+        postId: post.id,
+        contentHash: hash,
+        topic: post.topic,
+        mediaId,
+        mediaType,
+        publishedAt: new Date().toISOString(),
+        slideUrls,
+        forced,
+    };
+    ledger.version = LEDGER_VERSION;
+
+    saveLedger(ledger);
+    return ledger.entries[key];
+}
+
+/**
+ * Attach the Story shared for a published post to its ledger entry.
+ */
+export function recordStory(ledger, date, post, { mediaId }) {
+    const entry = findPublished(ledger, date, post);
+    if (!entry) return null;
+
+    entry.story = { mediaId, sharedAt: new Date().toISOString() };
+    saveLedger(ledger);
+    return entry;
+}
@@ -0,0 +1,53 @@
+/**
+ * publish-progress.js
+ *
+ * In-flight state for a carousel that is being published, stored per post
+ * in state/in-flight/<key>.json. If publishing fails halfway, the next
+ * attempt reads this back and reuses the child/carousel containers that
+ * Instagram still considers valid instead of creating them all again.
+ *
+ * The file is removed once publishMedia succeeds.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { config } from './config.js';
+
+function progressPath(key) {
+    const safeKey = String(key).replace(/[^a-zA-Z0-9_-]/g, '_');
+    return path.resolve(config.state.dir, 'in-flight', `${safeKey}.json`);
+}
+
+/**
+ * Load saved progress for a post, or a fresh record if there is none.
+ */
+export function loadProgress(key) {
+    const file = progressPath(key);
+    if (!fs.existsSync(file)) {
+        return { key, children: [], carousel: null, updatedAt: null };
+    }
+    return JSON.parse(fs.readFileSync(file, 'utf-8'));
+}
+
+/**
+ * Persist progress after every container created or status change.
+ */
+export function saveProgress(progress) {
+    const file = progressPath(progress.key);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+
+    progress.updatedAt = new Date().toISOString();
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(progress, null, 2) + '\n');
+    fs.renameSync(tmp, file);
+}
+
+/**
+ * Drop the in-flight record once the post is live.
+ */
+export function clearProgress(key) {
+    const file = progressPath(key);
+    if (fs.existsSync(file)) {
+        fs.unlinkSync(file);
+    }
+}
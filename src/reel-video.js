@@ -0,0 +1,240 @@
+/**
+ * reel-video.js
+ *
+ * Turns a post's captured slides into a vertical MP4 for Instagram Reels
+ * (H.264 + AAC, 1080x1920 by default — see config/reels.json). Each slide is
+ * shown for its own duration on the theme background, with a fade through
+ * the background colour between slides, and an optional background track
+ * from the local audio library (assets/audio/).
+ *
+ * Requires ffmpeg on PATH (or FFMPEG_PATH).
+ *
+ * Per-post settings in the content JSON:
+ *   "publishAs": "reel",
+ *   "reel": { "slideSeconds": [3.5, 4, 4, 5], "audio": "upbeat-01.mp3" }
+ *
+ * Usage:
+ *   node src/reel-video.js --date 2026-02-25                → posts with publishAs "reel"
+ *   node src/reel-video.js --date 2026-02-25 --all          → every post
+ *   node src/reel-video.js --date 2026-02-25 --post-index 2 → only post #2
+ *   add --force to re-render videos that are already up to date
+ *
+ * Output: images/captured/<date>/post<N>.mp4, next to the slides, so it is
+ * published through the same image host (image-hosts.js).
+ */
+
+import { spawn } from 'child_process';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const ROOT = path.resolve(__dirname, '..');
+
+const REELS_CONFIG = path.resolve(ROOT, 'config', 'reels.json');
+
+// Instagram accepts Reels between 3 and 90 seconds
+const MIN_SECONDS = 3;
+const MAX_SECONDS = 90;
+
+export function loadReelsConfig() {
+    return JSON.parse(fs.readFileSync(REELS_CONFIG, 'utf-8'));
+}
+
+/**
+ * File name of a post's Reel inside its captured images folder.
+ */
+export function reelFilename(postNum) {
+    return `post${postNum}.mp4`;
+}
+
+/**
+ * Whether a post should be published as a Reel (content JSON or CLI override).
+ */
+export function wantsReel(post, forceReel = false) {
+    return forceReel || post.publishAs === 'reel';
+}
+
+function runFfmpeg(args) {
+    const bin = process.env.FFMPEG_PATH || 'ffmpeg';
+    return new Promise((resolve, reject) => {
+        const proc = spawn(bin, args, { stdio: ['ignore', 'ignore', 'pipe'] });
+        let stderr = '';
+        proc.stderr.on('data', chunk => { stderr = (stderr + chunk).slice(-4000); });
+        proc.on('error', err => reject(new Error(
+            err.code === 'ENOENT' ? `ffmpeg not found (${bin}). Install it or set FFMPEG_PATH.` : err.message
+        )));
+        proc.on('close', code => {
+            if (code === 0) resolve();
+            else reject(new Error(`ffmpeg exited with code ${code}:\n${stderr.trim().split('\n').slice(-8).join('\n')}`));
+        });
+    });
+}
+
+/**
+ * Seconds each slide is shown: the post's own list, else cover/slide defaults.
+ */
+export function slideDurations(post, slideCount, cfg = loadReelsConfig()) {
+    const custom = post.reel?.slideSeconds || [];
+    return Array.from({ length: slideCount }, (_, i) =>
+        custom[i] ?? (i === 0 ? cfg.coverSeconds : cfg.slideSeconds)
+    );
+}
+
+/**
+ * Audio track for a post, resolved inside the audio library, or null.
+ */
+export function audioForPost(post, cfg = loadReelsConfig()) {
+    const name = post.reel?.audio || process.env.REEL_AUDIO || cfg.defaultAudio;
+    if (!name) return null;
+
+    const dir = path.resolve(ROOT, cfg.audioDir || 'assets/audio');
+    const file = path.resolve(dir, name);
+    if (!file.startsWith(dir + path.sep)) {
+        throw new Error(`Audio "${name}" is outside the audio library (${cfg.audioDir})`);
+    }
+    if (!fs.existsSync(file)) {
+        throw new Error(`Audio "${name}" not found in ${cfg.audioDir}`);
+    }
+    return file;
+}
+
+/**
+ * Render slides into an MP4.
+ * @param {string[]} slidePaths - PNG/JPEG files in display order
+ * @param {string} outputPath
+ * @param {{ durations: number[], audioPath?: string|null }} options
+ * @returns {Promise<{ durationSec: number }>}
+ */
+export async function renderReel(slidePaths, outputPath, options, cfg = loadReelsConfig()) {
+    const { durations, audioPath = null } = options;
+    const { width, height, fps, background } = cfg;
+    const color = background.replace('#', '0x');
+    const fade = cfg.transition === 'fade' ? cfg.transitionSeconds : 0;
+
+    const total = durations.reduce((a, b) => a + b, 0);
+    if (total < MIN_SECONDS || total > MAX_SECONDS) {
+        throw new Error(`Reel would be ${total}s long; Instagram accepts ${MIN_SECONDS}–${MAX_SECONDS}s`);
+    }
+
+    const args = ['-y', '-hide_banner', '-loglevel', 'error'];
+    slidePaths.forEach((file, i) => {
+        args.push('-loop', '1', '-framerate', String(fps), '-t', String(durations[i]), '-i', file);
+    });
+
+    const audioInput = slidePaths.length;
+    if (audioPath) {
+        args.push('-stream_loop', '-1', '-i', audioPath);
+    } else {
+        // Silent track — some clients treat audio-less Reels as broken
+        args.push('-f', 'lavfi', '-t', String(total), '-i', 'anullsrc=r=48000:cl=stereo');
+    }
+
+    const filters = slidePaths.map((_, i) => {
+        const steps = [
+            `scale=${width}:${height}:force_original_aspect_ratio=decrease`,
+            `pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2:color=${color}`,
+            'setsar=1',
+            'format=yuv420p',
+        ];
+        if (fade && i > 0) steps.push(`fade=t=in:st=0:d=${fade}:color=${color}`);
+        if (fade && i < slidePaths.length - 1) steps.push(`fade=t=out:st=${durations[i] - fade}:d=${fade}:color=${color}`);
+        return `[${i}:v]${steps.join(',')}[v${i}]`;
+    });
+    filters.push(`${slidePaths.map((_, i) => `[v${i}]`).join('')}concat=n=${slidePaths.length}:v=1:a=0[v]`);
+
+    if (audioPath) {
+        const volume = cfg.audioVolume ?? 1;
+        const fadeOut = Math.min(1.5, total / 3);
+        filters.push(
+            `[${audioInput}:a]atrim=0:${total},asetpts=N/SR/TB,volume=${volume},` +
+            `afade=t=in:st=0:d=0.5,afade=t=out:st=${(total - fadeOut).toFixed(2)}:d=${fadeOut.toFixed(2)}[a]`
+        );
+    }
+
+    args.push(
+        '-filter_complex', filters.join(';'),
+        '-map', '[v]',
+        '-map', audioPath ? '[a]' : `${audioInput}:a`,
+        '-c:v', 'libx264', '-profile:v', 'high', '-preset', 'medium', '-crf', '20', '-pix_fmt', 'yuv420p', '-r', String(fps),
+        '-c:a', 'aac', '-b:a', '128k', '-ar', '48000', '-ac', '2',
+        '-t', String(total),
+        '-movflags', '+faststart',
+        outputPath
+    );
+
+    await runFfmpeg(args);
+    return { durationSec: total };
+}
+
+/**
+ * Render the Reel for one post from its captured slides, unless it is already
+ * newer than every input.
+ */
+export async function renderPostReel(post, capturedDir, { force = false } = {}) {
+    const cfg = loadReelsConfig();
+    const slides = fs.readdirSync(capturedDir)
+        .map(f => f.match(new RegExp(`^post${post.id}_slide(\\d+)\\.png$`)))
+        .filter(Boolean)
+        .sort((a, b) => parseInt(a[1]) - parseInt(b[1]))
+        .map(m => path.resolve(capturedDir, m[0]));
+    if (slides.length === 0) {
+        throw new Error(`No slides for post ${post.id} in ${capturedDir}`);
+    }
+
+    const audioPath = audioForPost(post, cfg);
+    const durations = slideDurations(post, slides.length, cfg);
+    const outputPath = path.resolve(capturedDir, reelFilename(post.id));
+
+    if (!force && fs.existsSync(outputPath)) {
+        const built = fs.statSync(outputPath).mtimeMs;
+        const inputs = [...slides, REELS_CONFIG, audioPath].filter(Boolean);
+        if (inputs.every(f => fs.statSync(f).mtimeMs <= built)) {
+            return { outputPath, skipped: true };
+        }
+    }
+
+    const { durationSec } = await renderReel(slides, outputPath, { durations, audioPath }, cfg);
+    return { outputPath, durationSec, skipped: false };
+}
+
+// ─── CLI ───
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    const args = process.argv.slice(2);
+    const dateIdx = args.indexOf('--date');
+    const targetDate = dateIdx !== -1 ? args[dateIdx + 1] : null;
+    const postIdx = args.indexOf('--post-index');
+    const onlyPost = postIdx !== -1 ? parseInt(args[postIdx + 1]) : null;
+    const all = args.includes('--all');
+    const force = args.includes('--force');
+
+    if (!targetDate) {
+        console.error('Usage: node src/reel-video.js --date YYYY-MM-DD [--all] [--post-index N] [--force]');
+        process.exit(1);
+    }
+
+    const content = JSON.parse(fs.readFileSync(path.resolve(ROOT, 'content', `${targetDate}.json`), 'utf-8'));
+    const capturedDir = path.resolve(ROOT, 'images', 'captured', targetDate);
+    const posts = content.posts.filter(p =>
+        (onlyPost === null || p.id === onlyPost) && wantsReel(p, all || onlyPost !== null)
+    );
+
+    if (posts.length === 0) {
+        console.log('🎬 No posts to render as Reels.');
+        process.exit(0);
+    }
+
+    let failed = 0;
+    for (const post of posts) {
+        try {
+            const result = await renderPostReel(post, capturedDir, { force });
+            const rel = path.relative(ROOT, result.outputPath);
+            console.log(result.skipped ? `  ⏭️  Post ${post.id}: ${rel} is up to date` : `  🎬 Post ${post.id}: ${rel} (${result.durationSec}s)`);
+        } catch (err) {
+            failed++;
+            console.error(`  ❌ Post ${post.id}: ${err.message}`);
+        }
+    }
+    process.exit(failed > 0 ? 1 : 0);
+}
@@ -0,0 +1,97 @@
+/**
+ * render-manifest.js
+ *
+ * Incremental slide rendering. Every slide and Story card is keyed by a hash
+ * of what decides its pixels: its markup from slide-renderer.js (content,
+ * theme, format), the renderer version and the JPEG budget. generate-images.js
+ * keeps the hashes in images/captured/<date>/render-manifest.json and only
+ * re-captures slides whose hash changed or whose PNG/JPEG is missing;
+ * `--check` uses the same plan to tell the workflow whether to render at all.
+ * The workflow commits the manifest with every image host; with hosts that
+ * don't commit the images it restores them from the Actions cache.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { renderSlideList, getRendererVersion } from './slide-renderer.js';
+import { JPEG_MAX_BYTES, jpegPathFor } from './jpeg-export.js';
+
+export const MANIFEST_FILE = 'render-manifest.json';
+
+/**
+ * PNG file name of a slide from renderSlideList.
+ */
+export function slideFilename(slide) {
+    return slide.slideNum === null
+        ? `post${slide.postNum}_story.png`
+        : `post${slide.postNum}_slide${slide.slideNum}.png`;
+}
+
+function slideHash(slide) {
+    const payload = JSON.stringify({ renderer: getRendererVersion(), jpegMaxBytes: JPEG_MAX_BYTES, html: slide.html });
+    return crypto.createHash('sha256').update(payload).digest('hex').slice(0, 16);
+}
+
+/**
+ * Manifest of a captured folder (empty if it has none yet).
+ */
+export function loadRenderManifest(outputDir) {
+    const file = path.resolve(outputDir, MANIFEST_FILE);
+    if (!fs.existsSync(file)) return { slides: {} };
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf-8'));
+    } catch {
+        console.warn(`  ⚠️  ${MANIFEST_FILE} is unreadable, re-rendering every slide.`);
+        return { slides: {} };
+    }
+}
+
+/**
+ * Work out which slides need rendering.
+ * @param {object} content - Validated content JSON
+ * @param {string} outputDir - images/captured/<date>
+ * @param {{ theme?: string, format?: string }} [options] - as for renderSlidesDocument
+ * @returns {{ slides: object[], stale: object[], obsolete: string[] }} every slide
+ *   (with filename, pngPath, jpegPath, hash), the ones to re-render, and files
+ *   in outputDir that no slide produces any more
+ */
+export function planRender(content, outputDir, options = {}) {
+    const manifest = loadRenderManifest(outputDir);
+    const slides = renderSlideList(content, options).map(slide => {
+        const filename = slideFilename(slide);
+        const pngPath = path.resolve(outputDir, filename);
+        return { ...slide, filename, pngPath, jpegPath: jpegPathFor(pngPath), hash: slideHash(slide) };
+    });
+
+    const stale = slides.filter(s =>
+        manifest.slides?.[s.id]?.hash !== s.hash || !fs.existsSync(s.pngPath) || !fs.existsSync(s.jpegPath)
+    );
+
+    const expected = new Set(slides.flatMap(s => [path.basename(s.pngPath), path.basename(s.jpegPath)]));
+    const obsolete = fs.existsSync(outputDir)
+        ? fs.readdirSync(outputDir).filter(f => /^post\d+_(slide\d+|story)\.(png|jpg)$/.test(f) && !expected.has(f))
+        : [];
+
+    return { slides, stale, obsolete };
+}
+
+/**
+ * Record the current hash of every slide, with the JPEG export details of
+ * those that were just rendered (kept from the old manifest for the rest).
+ * @param {Object<string, { quality: number, bytes: number }>} exports - by slide id
+ */
+export function saveRenderManifest(outputDir, slides, exports = {}) {
+    const previous = loadRenderManifest(outputDir).slides || {};
+    const manifest = {
+        renderer: getRendererVersion(),
+        updatedAt: new Date().toISOString(),
+        slides: Object.fromEntries(slides.map(s => [s.id, {
+            file: s.filename,
+            hash: s.hash,
+            jpeg: exports[s.id] || previous[s.id]?.jpeg || null,
+        }])),
+    };
+    fs.writeFileSync(path.resolve(outputDir, MANIFEST_FILE), JSON.stringify(manifest, null, 2));
+    return manifest;
+}
@@ -0,0 +1,80 @@
+/**
+ * rich-text.js
+ *
+ * Inline markup for slide text. Content strings are plain text: anything
+ * that looks like HTML is escaped, so model output can never break a slide
+ * or load remote resources during capture. Emphasis uses a small dialect
+ * instead:
+ *
+ *   **bold**     → <strong>
+ *   ==glow==     → accent-coloured, glowing span (the cover headline glows
+ *                  the marked words instead of picking one automatically)
+ *   line break   → a newline in the string
+ *   :rocket:     → 🚀 (shortcodes from EMOJI below; unknown ones are kept as-is)
+ *
+ * Markers must open and close on the same line; an unmatched marker is shown
+ * literally.
+ */
+
+export const EMOJI = {
+    rocket: '🚀',
+    fire: '🔥',
+    brain: '🧠',
+    robot: '🤖',
+    chip: '💾',
+    money: '💰',
+    chart: '📈',
+    down: '📉',
+    warning: '⚠️',
+    lock: '🔒',
+    globe: '🌍',
+    bulb: '💡',
+    zap: '⚡',
+    eyes: '👀',
+    check: '✅',
+    x: '❌',
+    sparkles: '✨',
+    point_right: '👉',
+};
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+const BOLD_RE = /\*\*(?=\S)([^\n]*?\S)\*\*/g;
+const GLOW_RE = /==(?=\S)([^\n]*?\S)==/g;
+const EMOJI_RE = /:([a-z0-9_]+):/g;
+
+export function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, ch => HTML_ESCAPES[ch]);
+}
+
+function replaceEmoji(text) {
+    return text.replace(EMOJI_RE, (m, name) => EMOJI[name] || m);
+}
+
+/**
+ * Whether a string marks its own glow words.
+ */
+export function hasGlow(text) {
+    return new RegExp(GLOW_RE.source).test(text);
+}
+
+/**
+ * Escape a content string and convert its markup to HTML.
+ */
+export function renderRichText(text) {
+    return replaceEmoji(escapeHtml(text))
+        .replace(BOLD_RE, '<strong>$1</strong>')
+        .replace(GLOW_RE, '<span class="g">$1</span>')
+        .replace(/\r?\n/g, '<br>');
+}
+
+/**
+ * Plain text of a content string: markers removed, emoji expanded. For alt
+ * text, captions and anything else that isn't HTML.
+ */
+export function stripMarkup(text) {
+    return replaceEmoji(String(text))
+        .replace(BOLD_RE, '$1')
+        .replace(GLOW_RE, '$1')
+        .replace(/[ \t]*\r?\n[ \t]*/g, ' ');
+}
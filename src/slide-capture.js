@@ -0,0 +1,149 @@
+/**
+ * slide-capture.js
+ *
+ * Puppeteer capture of a slides document (slide-renderer.js) into PNGs, used
+ * by generate-images.js and the visual regression tests so both see exactly
+ * the same pixels. Capture is offline (slide-fonts.js): vendored fonts only,
+ * external requests blocked, and a font that didn't load is an error. Text
+ * that overflows is shrunk first (slide-fit.js).
+ *
+ * Slides are captured concurrently on a small pool of pages
+ * (CAPTURE_CONCURRENCY, default 3), each with the whole document loaded;
+ * options.ids limits the capture to some slides (incremental rendering).
+ */
+
+import puppeteer from 'puppeteer';
+import path from 'path';
+import { fitSlides, assertSlidesFit } from './slide-fit.js';
+import { DEVICE_SCALE_FACTOR, STORY_FORMAT } from './slide-formats.js';
+import { blockExternalRequests, assertFontsLoaded, CHROME_ARGS } from './slide-fonts.js';
+import { readImageInfo } from './image-info.js';
+
+export const CAPTURE_CONCURRENCY = parseInt(process.env.CAPTURE_CONCURRENCY || '3', 10);
+
+/**
+ * Open the document in a new page, offline and with its fonts loaded.
+ */
+async function openPage(browser, htmlPath) {
+    const page = await browser.newPage();
+    await page.setViewport({ width: 1200, height: 900, deviceScaleFactor: DEVICE_SCALE_FACTOR });
+
+    // Offline only: fonts are vendored, anything remote is a bug
+    await blockExternalRequests(page);
+    await page.goto(`file:///${htmlPath.replace(/\\/g, '/')}`, {
+        waitUntil: 'load',
+        timeout: 30000,
+    });
+    await assertFontsLoaded(page);
+    return page;
+}
+
+// Output file and expected size for a slide id (null for anything else)
+function outputFor(slideId, format) {
+    const story = slideId.match(/^p(\d+)story$/);
+    if (story) {
+        return { postNum: parseInt(story[1]), slideNum: null, filename: `post${story[1]}_story.png`, size: STORY_FORMAT };
+    }
+    const match = slideId.match(/^p(\d+)s(\d+)$/);
+    if (!match) return null;
+    return {
+        postNum: parseInt(match[1]),
+        slideNum: parseInt(match[2]),
+        filename: `post${match[1]}_slide${match[2]}.png`,
+        size: format,
+    };
+}
+
+/**
+ * Capture the slides of a rendered slides document as PNGs in outputDir.
+ * Carousel slides must come out at exactly format.width × format.height and
+ * story cards at STORY_FORMAT's size; anything else throws, as does a slide
+ * that still overflows (after every other slide has been captured).
+ * @param {{ ids?: string[], concurrency?: number, executablePath?: string }} [options] -
+ *   ids: only these slides (default: all); concurrency: pages capturing in
+ *   parallel; executablePath: browser to use instead of Puppeteer's Chrome
+ * @returns {Promise<Object<string, Array<{ slideNum: number, filename: string, absolutePath: string }>>>}
+ *   captured carousel slides by post number, in slide order
+ */
+export async function captureSlides(htmlPath, outputDir, format, options = {}) {
+    const { ids = null, concurrency = CAPTURE_CONCURRENCY, executablePath } = options;
+
+    console.log('\n📸 Capturing slides with Puppeteer...');
+    console.log('━'.repeat(40));
+
+    const browser = await puppeteer.launch({
+        headless: true,
+        args: [...CHROME_ARGS, '--disable-dev-shm-usage'],
+        ...(executablePath ? { executablePath } : {}),
+    });
+
+    const captured = [];
+    const fit = { adjusted: [], overflowing: [] };
+
+    try {
+        const first = await openPage(browser, htmlPath);
+        const allIds = await first.$$eval('.slide', els => els.map(el => el.id));
+        const queue = allIds.filter(id => outputFor(id, format) && (!ids || ids.includes(id)));
+
+        const pages = [first];
+        while (pages.length < Math.min(Math.max(concurrency, 1), queue.length)) {
+            pages.push(await openPage(browser, htmlPath));
+        }
+        console.log(`  Capturing ${queue.length} of ${allIds.length} slides on ${pages.length} page(s).\n`);
+
+        // The first failure stops every page from taking new slides; the
+        // browser is only closed once all of them have finished
+        let next = 0;
+        let failure = null;
+        await Promise.allSettled(pages.map(async page => {
+            try {
+                while (next < queue.length && !failure) {
+                    const slideId = queue[next++];
+                    const out = outputFor(slideId, format);
+                    const label = out.slideNum === null ? `Post ${out.postNum}, Story` : `Post ${out.postNum}, Slide ${out.slideNum}`;
+
+                    // Shrink overflowing text; never capture a clipped slide
+                    const result = await fitSlides(page, { ids: [slideId] });
+                    fit.adjusted.push(...result.adjusted);
+                    fit.overflowing.push(...result.overflowing);
+                    if (result.overflowing.length > 0) continue;
+
+                    const outputPath = path.resolve(outputDir, out.filename);
+                    const slide = await page.$(`#${slideId}`);
+                    await slide.screenshot({ path: outputPath, type: 'png' });
+
+                    const info = readImageInfo(outputPath);
+                    if (info.width !== out.size.width || info.height !== out.size.height) {
+                        throw new Error(
+                            `${out.filename} is ${info.width}x${info.height}, expected ${out.size.width}x${out.size.height} (${out.size.ratio})`
+                        );
+                    }
+
+                    captured.push({ ...out, absolutePath: outputPath });
+                    console.log(`  ✅ ${label} → ${out.filename}`);
+                }
+            } catch (err) {
+                failure ??= err;
+            }
+        }));
+        if (failure) throw failure;
+
+        assertSlidesFit(fit);
+    } finally {
+        await browser.close();
+    }
+
+    // Group carousel slides by post, in slide order (story cards are files only)
+    const capturedByPost = {};
+    for (const c of captured.filter(c => c.slideNum !== null)) {
+        if (!capturedByPost[c.postNum]) capturedByPost[c.postNum] = [];
+        capturedByPost[c.postNum].push({ slideNum: c.slideNum, filename: c.filename, absolutePath: c.absolutePath });
+    }
+    for (const key of Object.keys(capturedByPost)) {
+        capturedByPost[key].sort((a, b) => a.slideNum - b.slideNum);
+    }
+
+    const carouselSlides = Object.values(capturedByPost).flat().length;
+    console.log(`\n  🎉 Captured ${carouselSlides} slides and ${captured.length - carouselSlides} story cards.\n`);
+    return capturedByPost;
+}
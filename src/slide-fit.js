@@ -0,0 +1,135 @@
+/**
+ * slide-fit.js
+ *
+ * Overflow detection for rendered slides. Slides are fixed-size boxes with
+ * `overflow: hidden`, so long model output would otherwise be clipped
+ * silently. Run on a loaded Puppeteer page (fonts ready) before capturing:
+ *
+ *   1. measure each .slide — .content scrolling past its box, text outside
+ *      the slide, or text running into .bottom-bar
+ *   2. shrink the slide's text in SLIDE_FIT_STEP increments down to
+ *      SLIDE_FIT_MIN_SCALE of its designed size until it fits
+ *   3. report slides that still overflow so the caller can refuse to capture
+ */
+
+const DEFAULT_MIN_SCALE = 0.7;
+const DEFAULT_STEP = 0.05;
+
+/**
+ * Scale limits in effect: options, then SLIDE_FIT_MIN_SCALE / SLIDE_FIT_STEP,
+ * then the defaults. Part of the renderer version (slide-renderer.js).
+ * @returns {{ minScale: number, step: number }}
+ */
+export function fitOptions(options = {}) {
+    return {
+        minScale: options.minScale ?? (parseFloat(process.env.SLIDE_FIT_MIN_SCALE) || DEFAULT_MIN_SCALE),
+        step: options.step ?? (parseFloat(process.env.SLIDE_FIT_STEP) || DEFAULT_STEP),
+    };
+}
+
+/**
+ * Fit every slide on the page (or only those whose id is in options.ids).
+ * @param {import('puppeteer').Page} page
+ * @returns {Promise<{ adjusted: object[], overflowing: object[] }>}
+ *   Each entry: { id, postNum, slideNum, scale, reasons }
+ */
+export async function fitSlides(page, options = {}) {
+    const { minScale, step } = fitOptions(options);
+    const ids = options.ids || null;
+
+    const results = await page.evaluate((minScale, step, ids) => {
+        // Breathing room between the lowest text line and the bottom bar
+        const BAR_GAP = 6;
+
+        function textElements(content) {
+            return [...content.querySelectorAll('*')].filter(el =>
+                !el.closest('svg') && [...el.childNodes].some(n => n.nodeType === Node.TEXT_NODE && n.textContent.trim())
+            );
+        }
+
+        function measure(slide) {
+            const content = slide.querySelector('.content');
+            if (!content) return [];
+            const slideBox = slide.getBoundingClientRect();
+            const bar = slide.querySelector('.bottom-bar');
+            const barTop = bar ? bar.getBoundingClientRect().top : slideBox.bottom;
+            const reasons = [];
+
+            if (content.scrollHeight > content.clientHeight + 1) reasons.push('content taller than its box');
+            if (content.scrollWidth > content.clientWidth + 1) reasons.push('content wider than its box');
+
+            for (const el of textElements(content)) {
+                const r = el.getBoundingClientRect();
+                if (r.top < slideBox.top || r.left < slideBox.left || r.right > slideBox.right) {
+                    reasons.push(`<${el.className || el.tagName.toLowerCase()}> clipped by slide edge`);
+                    break;
+                }
+                if (r.bottom > barTop - BAR_GAP) {
+                    reasons.push(`<${el.className || el.tagName.toLowerCase()}> collides with bottom bar`);
+                    break;
+                }
+            }
+            return reasons;
+        }
+
+        // Read every designed size before writing any: a nested element that
+        // inherits (or uses em) would otherwise pick up its parent's scale twice
+        function applyScale(slide, scale) {
+            const elements = textElements(slide.querySelector('.content'));
+            for (const el of elements) {
+                if (!el.dataset.fitBase) el.dataset.fitBase = parseFloat(getComputedStyle(el).fontSize);
+            }
+            for (const el of elements) {
+                el.style.fontSize = `${(parseFloat(el.dataset.fitBase) * scale).toFixed(2)}px`;
+            }
+        }
+
+        const slides = [...document.querySelectorAll('.slide')].filter(slide => !ids || ids.includes(slide.id));
+        return slides.map(slide => {
+            const match = slide.id.match(/p(\d+)(?:s(\d+))?/);
+            let scale = 1;
+            let reasons = measure(slide);
+
+            while (reasons.length > 0 && scale - step >= minScale - 1e-9) {
+                scale = Math.round((scale - step) * 100) / 100;
+                applyScale(slide, scale);
+                reasons = measure(slide);
+            }
+
+            return {
+                id: slide.id,
+                postNum: match ? parseInt(match[1]) : null,
+                slideNum: match?.[2] ? parseInt(match[2]) : null,
+                scale,
+                reasons,
+            };
+        });
+    }, minScale, step, ids);
+
+    return {
+        adjusted: results.filter(r => r.scale < 1 && r.reasons.length === 0),
+        overflowing: results.filter(r => r.reasons.length > 0),
+    };
+}
+
+function slideLabel(r) {
+    return r.slideNum === null ? `Post ${r.postNum}, Story` : `Post ${r.postNum}, Slide ${r.slideNum}`;
+}
+
+/**
+ * Log adjustments and throw if any slide still overflows.
+ */
+export function assertSlidesFit(fit) {
+    for (const r of fit.adjusted) {
+        console.log(`  🔡 ${slideLabel(r)}: text scaled to ${Math.round(r.scale * 100)}% to fit`);
+    }
+    if (fit.overflowing.length === 0) return;
+
+    const lines = fit.overflowing.map(r =>
+        `  • ${slideLabel(r)} (${r.id}) at ${Math.round(r.scale * 100)}%: ${r.reasons.join('; ')}`
+    );
+    throw new Error(
+        `${fit.overflowing.length} slide(s) still overflow at the minimum font size — shorten the text:\n` +
+        lines.join('\n')
+    );
+}
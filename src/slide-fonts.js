@@ -0,0 +1,151 @@
+/**
+ * slide-fonts.js
+ *
+ * Fonts for slide rendering, vendored in assets/fonts/ (woff2 from the
+ * @fontsource packages, see assets/fonts/README.md) so rendering never
+ * touches the network and every machine draws the same glyphs:
+ *   - Inter: the slide font (Latin)
+ *   - Noto Sans: fallback for Cyrillic, Greek, Vietnamese and Devanagari
+ *   - Noto Color Emoji: emoji
+ *
+ * The renderer embeds @font-face rules pointing at these files; capture code
+ * blocks every non-local request (blockExternalRequests) and refuses to take
+ * screenshots until each required face has loaded (assertFontsLoaded).
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const FONTS_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', 'assets', 'fonts');
+
+// Relative to slides/, where both renderers write their HTML
+export const DEFAULT_FONT_BASE_URL = '../assets/fonts';
+
+// Stack used by every theme; later families only fill in missing glyphs
+export const FONT_STACK = "'Inter', 'Noto Sans', 'Noto Color Emoji', sans-serif";
+
+const RANGES = {
+    latin: 'U+0000-00FF,U+0131,U+0152-0153,U+02BB-02BC,U+02C6,U+02DA,U+02DC,U+0304,U+0308,U+0329,U+2000-206F,U+20AC,U+2122,U+2191,U+2193,U+2212,U+2215,U+FEFF,U+FFFD',
+    'latin-ext': 'U+0100-02BA,U+02BD-02C5,U+02C7-02CC,U+02CE-02D7,U+02DD-02FF,U+0304,U+0308,U+0329,U+1D00-1DBF,U+1E00-1E9F,U+1EF2-1EFF,U+2020,U+20A0-20AB,U+20AD-20C0,U+2113,U+2C60-2C7F,U+A720-A7FF',
+    cyrillic: 'U+0301,U+0400-045F,U+0490-0491,U+04B0-04B1,U+2116',
+    'cyrillic-ext': 'U+0460-052F,U+1C80-1C8A,U+20B4,U+2DE0-2DFF,U+A640-A69F,U+FE2E-FE2F',
+    greek: 'U+0370-0377,U+037A-037F,U+0384-038A,U+038C,U+038E-03A1,U+03A3-03FF',
+    'greek-ext': 'U+1F00-1FFF',
+    vietnamese: 'U+0102-0103,U+0110-0111,U+0128-0129,U+0168-0169,U+01A0-01A1,U+01AF-01B0,U+0300-0301,U+0303-0304,U+0308-0309,U+0323,U+0329,U+1EA0-1EF9,U+20AB',
+    devanagari: 'U+0900-097F,U+1CD0-1CF9,U+200C-200D,U+20A8,U+20B9,U+20F0,U+25CC,U+A830-A839,U+A8E0-A8FF,U+11B00-11B09',
+};
+
+const FAMILIES = [
+    { family: 'Inter', dir: 'inter', prefix: 'inter', weights: [400, 600, 700, 900], subsets: ['latin', 'latin-ext'] },
+    {
+        family: 'Noto Sans',
+        dir: 'noto-sans',
+        prefix: 'noto-sans',
+        weights: [400, 700],
+        subsets: ['cyrillic', 'cyrillic-ext', 'greek', 'greek-ext', 'vietnamese', 'devanagari'],
+    },
+    { family: 'Noto Color Emoji', dir: 'noto-color-emoji', prefix: 'noto-color-emoji', weights: [400], subsets: ['emoji'] },
+];
+
+/**
+ * Every vendored face: family, weight, file (relative to assets/fonts/) and
+ * unicode range (null = whole font).
+ */
+export const FONT_FACES = FAMILIES.flatMap(f => f.subsets.flatMap(subset => f.weights.map(weight => ({
+    family: f.family,
+    weight,
+    file: `${f.dir}/${f.prefix}-${subset}-${weight}-normal.woff2`,
+    unicodeRange: RANGES[subset] || null,
+}))));
+
+// Faces a slide can't be captured without, with a sample string that uses them
+export const REQUIRED_FONTS = [
+    ...[400, 600, 700, 900].map(weight => ({ family: 'Inter', weight, sample: 'Aa1' })),
+    { family: 'Noto Sans', weight: 400, sample: 'Жλ' },
+    { family: 'Noto Color Emoji', weight: 400, sample: '🚀' },
+];
+
+/**
+ * @font-face rules for the vendored fonts.
+ * @param {string} [baseUrl] - URL of assets/fonts/ as seen from the HTML file
+ */
+export function fontFaceCss(baseUrl = DEFAULT_FONT_BASE_URL) {
+    return FONT_FACES.map(f => [
+        '@font-face {',
+        `  font-family: '${f.family}';`,
+        '  font-style: normal;',
+        `  font-weight: ${f.weight};`,
+        '  font-display: block;',
+        `  src: url('${baseUrl}/${f.file}') format('woff2');`,
+        f.unicodeRange ? `  unicode-range: ${f.unicodeRange};` : null,
+        '}',
+    ].filter(Boolean).join('\n')).join('\n');
+}
+
+/**
+ * SHA-256 of every vendored font file by path (null if the file is missing),
+ * so swapping a font counts as a renderer change.
+ * @returns {Object<string, string|null>}
+ */
+export function fontFileHashes() {
+    return Object.fromEntries(FONT_FACES.map(f => {
+        const file = path.resolve(FONTS_DIR, f.file);
+        const hash = fs.existsSync(file) ? crypto.createHash('sha256').update(fs.readFileSync(file)).digest('hex') : null;
+        return [f.file, hash];
+    }));
+}
+
+// Chrome flags for captures that come out the same on every machine
+export const CHROME_ARGS = [
+    '--no-sandbox',
+    '--disable-setuid-sandbox',
+    '--font-render-hinting=none',
+    '--force-color-profile=srgb',
+    '--disable-lcd-text',
+];
+
+/**
+ * Abort every request that isn't a local file or inline data, so nothing
+ * remote can change (or slow down) a capture. Returns the blocked URLs.
+ */
+export async function blockExternalRequests(page) {
+    const blocked = [];
+    await page.setRequestInterception(true);
+    page.on('request', request => {
+        const url = request.url();
+        if (/^(file|data|about|blob):/.test(url)) {
+            request.continue();
+        } else {
+            blocked.push(url);
+            console.log(`  🚫 Blocked external request: ${url}`);
+            request.abort('blockedbyclient');
+        }
+    });
+    return blocked;
+}
+
+/**
+ * Load every required face and throw if any didn't, instead of letting
+ * Chrome silently fall back to a system font.
+ */
+export async function assertFontsLoaded(page) {
+    const missing = await page.evaluate(async (required) => {
+        const spec = r => `${r.weight} 16px '${r.family}'`;
+        await Promise.all(required.map(r => document.fonts.load(spec(r), r.sample).catch(() => [])));
+        await document.fonts.ready;
+        // fonts.check() is also true when no face matches at all, so look for a loaded face
+        const loaded = [...document.fonts].filter(f => f.status === 'loaded');
+        return required
+            .filter(r => !loaded.some(f => f.family.replace(/["']/g, '') === r.family && String(f.weight) === String(r.weight)))
+            .map(spec);
+    }, REQUIRED_FONTS);
+
+    if (missing.length > 0) {
+        throw new Error(
+            `Required fonts did not load: ${missing.join(', ')}. ` +
+            'Check that assets/fonts/ is present (see assets/fonts/README.md).'
+        );
+    }
+}
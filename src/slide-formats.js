@@ -0,0 +1,58 @@
+/**
+ * slide-formats.js
+ *
+ * Output formats for slide images. Slides are laid out at half the target
+ * size in CSS pixels and captured at deviceScaleFactor 2, so every PNG comes
+ * out at exactly width × height. The renderer adds a format-<name> class to
+ * each slide so layouts can reflow (e.g. two columns in landscape) instead of
+ * being stretched.
+ *
+ * Pick one with --format (name or ratio) or SLIDE_FORMAT; default "square".
+ */
+
+export const DEVICE_SCALE_FACTOR = 2;
+
+export const FORMATS = {
+    square: { ratio: '1:1', width: 1080, height: 1080 },
+    portrait: { ratio: '4:5', width: 1080, height: 1350 },
+    landscape: { ratio: '1.91:1', width: 1080, height: 566 },
+};
+
+export const DEFAULT_FORMAT = 'square';
+
+// Stories are always 9:16; not selectable for carousels (Instagram rejects it)
+export const STORY_FORMAT = {
+    name: 'story',
+    ratio: '9:16',
+    width: 1080,
+    height: 1920,
+    cssWidth: 1080 / DEVICE_SCALE_FACTOR,
+    cssHeight: 1920 / DEVICE_SCALE_FACTOR,
+};
+
+/**
+ * Look up a format by name ("portrait") or ratio ("4:5").
+ * @returns {{ name: string, ratio: string, width: number, height: number, cssWidth: number, cssHeight: number }}
+ */
+export function resolveFormat(nameOrRatio = process.env.SLIDE_FORMAT || DEFAULT_FORMAT) {
+    const key = String(nameOrRatio).trim().toLowerCase();
+    const name = FORMATS[key] ? key : Object.keys(FORMATS).find(n => FORMATS[n].ratio === key);
+    if (!name) {
+        const options = Object.entries(FORMATS).map(([n, f]) => `${n} (${f.ratio})`).join(', ');
+        throw new Error(`Unknown slide format "${nameOrRatio}". Available: ${options}`);
+    }
+    const f = FORMATS[name];
+    return {
+        name,
+        ...f,
+        cssWidth: f.width / DEVICE_SCALE_FACTOR,
+        cssHeight: f.height / DEVICE_SCALE_FACTOR,
+    };
+}
+
+/**
+ * Whether two pixel sizes have the same aspect ratio (within rounding).
+ */
+export function sameRatio(a, b, tolerance = 0.01) {
+    return Math.abs(a.width / a.height - b.width / b.height) <= tolerance;
+}
@@ -0,0 +1,349 @@
+/**
+ * slide-renderer.js
+ *
+ * The one slide template, shared by generate-slides.js (HTML preview) and
+ * generate-images.js (PNG capture). Layout and markup live here; colours,
+ * font and decorations come from slide-themes.js as CSS variables set on
+ * each .slide, so every post can use its own theme.
+ *
+ * Theme precedence: options.theme (e.g. --theme on the CLI) → post.theme →
+ * content.theme → "neon". The output format (slide-formats.js) applies to the
+ * whole document; each slide carries a format-<name> class for reflow rules.
+ *
+ * Fonts are the vendored ones from slide-fonts.js, embedded with @font-face;
+ * the document never references anything remote.
+ *
+ * All content text goes through rich-text.js: HTML is escaped and only its
+ * inline markup (**bold**, ==glow==, newlines, :emoji:) becomes tags.
+ *
+ * Every post also gets a 9:16 Story card (#p<N>story) built from its cover,
+ * captured separately and shared to Stories after the post goes live.
+ */
+
+import crypto from 'crypto';
+import { resolveTheme, DEFAULT_THEME } from './slide-themes.js';
+import { resolveFormat, STORY_FORMAT, DEVICE_SCALE_FACTOR } from './slide-formats.js';
+import { escapeHtml, renderRichText, stripMarkup, hasGlow } from './rich-text.js';
+import { fontFaceCss, fontFileHashes, CHROME_ARGS } from './slide-fonts.js';
+import { fitOptions } from './slide-fit.js';
+
+// SVG icon library (drawn in the slide accent via currentColor)
+const SVG_ICONS = {
+    brain: '<svg viewBox="0 0 64 64" fill="none"><circle cx="32" cy="32" r="20" stroke="currentColor" stroke-width="1.5" opacity="0.4"/><circle cx="32" cy="32" r="10" fill="currentColor" opacity="0.25"/><circle cx="32" cy="32" r="5" fill="currentColor"/><line x1="32" y1="6" x2="32" y2="16" stroke="currentColor" stroke-width="1.5"/><line x1="32" y1="48" x2="32" y2="58" stroke="currentColor" stroke-width="1.5"/><line x1="6" y1="32" x2="16" y2="32" stroke="currentColor" stroke-width="1.5"/><line x1="48" y1="32" x2="58" y2="32" stroke="currentColor" stroke-width="1.5"/></svg>',
+    chip: '<svg viewBox="0 0 64 64" fill="none"><rect x="12" y="12" width="40" height="40" rx="4" stroke="currentColor" stroke-width="1.5" opacity="0.4"/><rect x="22" y="22" width="20" height="20" rx="2" fill="currentColor" opacity="0.25"/><rect x="28" y="28" width="8" height="8" rx="1" fill="currentColor"/><line x1="32" y1="4" x2="32" y2="12" stroke="currentColor" stroke-width="1.5"/><line x1="32" y1="52" x2="32" y2="60" stroke="currentColor" stroke-width="1.5"/><line x1="4" y1="32" x2="12" y2="32" stroke="currentColor" stroke-width="1.5"/><line x1="52" y1="32" x2="60" y2="32" stroke="currentColor" stroke-width="1.5"/></svg>',
+    shield: '<svg viewBox="0 0 64 64" fill="none"><path d="M32 6L10 20V48L32 58L54 48V20L32 6Z" stroke="currentColor" stroke-width="1.5" opacity="0.4"/><path d="M32 18L42 24V36L32 42L22 36V24L32 18Z" fill="currentColor" opacity="0.25"/><path d="M32 26L36 28V34L32 36L28 34V28L32 26Z" fill="currentColor"/></svg>',
+    network: '<svg viewBox="0 0 64 64" fill="none"><circle cx="32" cy="20" r="14" stroke="currentColor" stroke-width="1.5" opacity="0.4"/><circle cx="32" cy="20" r="7" fill="currentColor" opacity="0.25"/><circle cx="32" cy="20" r="3" fill="currentColor"/><line x1="24" y1="34" x2="18" y2="56" stroke="currentColor" stroke-width="1.5" opacity="0.5"/><line x1="40" y1="34" x2="46" y2="56" stroke="currentColor" stroke-width="1.5" opacity="0.5"/><line x1="32" y1="34" x2="32" y2="58" stroke="currentColor" stroke-width="1.5"/></svg>',
+    globe: '<svg viewBox="0 0 64 64" fill="none"><circle cx="32" cy="32" r="22" stroke="currentColor" stroke-width="1.5" opacity="0.4"/><ellipse cx="32" cy="32" rx="12" ry="22" stroke="currentColor" stroke-width="1" opacity="0.3"/><line x1="10" y1="32" x2="54" y2="32" stroke="currentColor" stroke-width="1" opacity="0.3"/><circle cx="32" cy="32" r="8" fill="currentColor" opacity="0.2"/><circle cx="32" cy="32" r="3" fill="currentColor"/></svg>',
+    code: '<svg viewBox="0 0 64 64" fill="none"><rect x="8" y="14" width="48" height="36" rx="4" stroke="currentColor" stroke-width="1.5" opacity="0.4"/><text x="20" y="38" fill="currentColor" font-size="16" font-family="monospace" opacity="0.8">&lt;/&gt;</text></svg>',
+    atom: '<svg viewBox="0 0 64 64" fill="none"><ellipse cx="32" cy="32" rx="24" ry="10" stroke="currentColor" stroke-width="1.5" opacity="0.3" transform="rotate(0 32 32)"/><ellipse cx="32" cy="32" rx="24" ry="10" stroke="currentColor" stroke-width="1.5" opacity="0.3" transform="rotate(60 32 32)"/><ellipse cx="32" cy="32" rx="24" ry="10" stroke="currentColor" stroke-width="1.5" opacity="0.3" transform="rotate(120 32 32)"/><circle cx="32" cy="32" r="4" fill="currentColor"/></svg>',
+    rocket: '<svg viewBox="0 0 64 64" fill="none"><path d="M32 8C32 8 44 20 44 36C44 44 38 52 32 56C26 52 20 44 20 36C20 20 32 8 32 8Z" stroke="currentColor" stroke-width="1.5" opacity="0.4"/><circle cx="32" cy="32" r="6" fill="currentColor" opacity="0.25"/><circle cx="32" cy="32" r="3" fill="currentColor"/></svg>',
+    database: '<svg viewBox="0 0 64 64" fill="none"><ellipse cx="32" cy="18" rx="20" ry="8" stroke="currentColor" stroke-width="1.5" opacity="0.4"/><path d="M12 18V46C12 50.4 20.9 54 32 54C43.1 54 52 50.4 52 46V18" stroke="currentColor" stroke-width="1.5" opacity="0.4"/><ellipse cx="32" cy="32" rx="20" ry="8" stroke="currentColor" stroke-width="1" opacity="0.2"/><ellipse cx="32" cy="18" rx="10" ry="4" fill="currentColor" opacity="0.25"/></svg>',
+    lock: '<svg viewBox="0 0 64 64" fill="none"><path d="M32 6L10 20V48L32 58L54 48V20L32 6Z" stroke="currentColor" stroke-width="1.5" opacity="0.3"/><path d="M32 16L18 24V40L32 48L46 40V24L32 16Z" stroke="currentColor" stroke-width="1.5" opacity="0.5"/><rect x="26" y="24" width="12" height="14" rx="2" fill="currentColor" opacity="0.25"/><rect x="29" y="30" width="6" height="8" rx="1" fill="currentColor"/></svg>',
+};
+
+function getIcon(name) {
+    return SVG_ICONS[name] || SVG_ICONS.brain;
+}
+
+// Find a good keyword to glow in the headline (first word that's interesting)
+function findGlowWord(headline) {
+    const skip = ['the', 'a', 'an', 'is', 'are', 'was', 'its', 'it', 'to', 'for', 'and', 'or', 'in', 'on', 'of', 'at', 'by', 'this', 'that', 'now', 'just', 'will', 'can', 'has', 'had', 'not', 'but', 'with', 'from', 'as', 'be', 'do'];
+    const words = headline.split(' ');
+    // Look for numbers, dollar amounts, or proper nouns
+    for (const w of words) {
+        if (/^\$?\d/.test(w)) return w;
+    }
+    // Pick the most interesting word (longest non-common word)
+    const candidates = words.filter(w => !skip.includes(w.toLowerCase()) && w.length > 3);
+    return candidates.length > 0 ? candidates[Math.floor(candidates.length / 2)] : words[2] || words[0];
+}
+
+function hexToRgb(hex) {
+    const h = hex.replace('#', '');
+    const full = h.length === 3 ? h.split('').map(c => c + c).join('') : h;
+    const n = parseInt(full, 16);
+    return `${(n >> 16) & 255},${(n >> 8) & 255},${n & 255}`;
+}
+
+/**
+ * Theme for one post, following the documented precedence.
+ */
+export function themeForPost(post, content = {}, options = {}) {
+    return resolveTheme(options.theme || post.theme || content.theme || DEFAULT_THEME, post.category || null);
+}
+
+function themeStyle(theme) {
+    const c = theme.colors;
+    return [
+        `--font:${theme.font.family}`,
+        `--page:${c.page}`,
+        `--bg:${c.background}`,
+        `--heading:${c.heading}`,
+        `--text:${c.text}`,
+        `--muted:${c.muted}`,
+        `--bar:${c.bar}`,
+        `--accent:${c.accent}`,
+        `--accent-rgb:${hexToRgb(c.accent)}`,
+        `--accent2:${c.accent2}`,
+        `--accent2-rgb:${hexToRgb(c.accent2)}`,
+        `--glow:${theme.glow ? 1 : 0}`,
+    ].join(';');
+}
+
+/**
+ * Wrap slide body markup in the themed frame and decorations.
+ */
+function slideFrame(id, theme, format, barRight, body) {
+    const d = theme.decorations;
+    const back = [d.grid && '<div class="grid"></div>', d.blobs && '<div class="blob1"></div><div class="blob2"></div>']
+        .filter(Boolean).join('');
+    const front = [
+        d.glowBorder && '<div class="glow-border"></div><div class="glow-left"></div><div class="glow-right"></div>',
+        d.corners && '<div class="corner-tl"></div><div class="corner-br"></div>',
+    ].filter(Boolean).join('\n    ');
+
+    return `
+  <div class="slide theme-${theme.name} format-${format.name}" id="${id}" style="${themeStyle(theme)}">
+    ${back}
+    ${body}
+    ${front}
+    <div class="bottom-bar"><span>@dailyainewsone</span><span>${barRight}</span></div>
+  </div>`;
+}
+
+function assertSlideContent(post, postNum) {
+    const sc = post.slideContent;
+    if (!sc || !sc.slide1 || !sc.slide2 || !sc.slide3) {
+        throw new Error(
+            `Content JSON is missing slideContent for post ${postNum}. ` +
+            `Regenerate content using the updated generator (node src/generate-content.js --date <YYYY-MM-DD>).`
+        );
+    }
+    return sc;
+}
+
+// Headlines glow their ==marked== words, else one picked automatically
+function headlineHtml(headline) {
+    if (hasGlow(headline)) return renderRichText(headline);
+    const glowWord = findGlowWord(stripMarkup(headline));
+    if (!glowWord || /[*=]/.test(glowWord)) return renderRichText(headline);
+    return renderRichText(headline.replace(glowWord, () => `==${glowWord}==`));
+}
+
+function labelHtml(title) {
+    return escapeHtml(stripMarkup(title).toUpperCase());
+}
+
+// Each carousel slide of one post as { id, slideNum, html }
+function postSlideList(post, postNum, theme, format) {
+    const sc = assertSlideContent(post, postNum);
+    const totalSlides = post.slides || (sc.slide4 ? 4 : 3);
+    const icon = getIcon(post.svgIcon || 'brain');
+
+    const slides = [];
+    const add = (slideNum, barRight, body) => slides.push({
+        id: `p${postNum}s${slideNum}`,
+        slideNum,
+        html: slideFrame(`p${postNum}s${slideNum}`, theme, format, barRight, body),
+    });
+
+    // Slide 1: Cover
+    add(1, `1/${totalSlides}`, `<div class="content cover">
+      <div class="cover-icon">${icon}</div>
+      <h1>${headlineHtml(sc.slide1.headline)}</h1>
+      <div class="sub">${renderRichText(sc.slide1.subtitle)}</div>
+    </div>`);
+
+    // Slides 2 & 3: What Happened / Why It Matters
+    for (const [slideNum, s] of [[2, sc.slide2], [3, sc.slide3]]) {
+        add(slideNum, `${slideNum}/${totalSlides}`, `<div class="content body">
+      <div class="label">${labelHtml(s.title)}</div>
+      <div class="text">${s.lines.map(renderRichText).join('<br><br>')}</div>
+    </div>`);
+    }
+
+    // Slide 4: Key Takeaways (optional)
+    if (totalSlides >= 4 && sc.slide4) {
+        const bulletsHtml = sc.slide4.bullets.map(b => `<div class="bi">${renderRichText(b)}</div>`).join('\n        ');
+        add(4, `4/${totalSlides}`, `<div class="content body">
+      <div class="label purple">${labelHtml(sc.slide4.title)}</div>
+      <div class="bullets">
+        ${bulletsHtml}
+      </div>
+    </div>`);
+    }
+
+    return slides;
+}
+
+/**
+ * Markup for every slide of one post.
+ */
+export function renderPostSlides(post, postNum, theme, format = resolveFormat()) {
+    return postSlideList(post, postNum, theme, format).map(s => s.html).join('');
+}
+
+/**
+ * 9:16 Story card for a post: its cover plus a "new post" call-out.
+ */
+export function renderStorySlide(post, postNum, theme) {
+    const sc = assertSlideContent(post, postNum);
+    const label = post.publishAs === 'reel' ? 'New Reel' : 'New Post';
+    return slideFrame(`p${postNum}story`, theme, STORY_FORMAT, 'Tap the post ↗', `<div class="content cover">
+      <div class="story-callout">${label}</div>
+      <div class="cover-icon">${getIcon(post.svgIcon || 'brain')}</div>
+      <h1>${headlineHtml(sc.slide1.headline)}</h1>
+      <div class="sub">${renderRichText(sc.slide1.subtitle)}</div>
+    </div>`);
+}
+
+const BASE_CSS = `
+  * { margin: 0; padding: 0; box-sizing: border-box; }
+  body { background: var(--page); font-family: var(--font); display: flex; flex-direction: column; align-items: center; padding: 40px; gap: 60px; }
+  .post-label { font-size: 16px; font-weight: 700; color: var(--accent); letter-spacing: 4px; text-transform: uppercase; text-align: center; margin-bottom: -30px; }
+  .slide-row { display: flex; gap: 30px; flex-wrap: wrap; justify-content: center; }
+  .slide { width: var(--slide-w); height: var(--slide-h); position: relative; overflow: hidden; flex-shrink: 0; background: var(--bg); font-family: var(--font); }
+  .grid { position: absolute; top: 0; left: 0; right: 0; bottom: 0; background-image: linear-gradient(rgba(var(--accent-rgb),0.06) 1px, transparent 1px), linear-gradient(90deg, rgba(var(--accent-rgb),0.06) 1px, transparent 1px); background-size: 32px 32px; z-index: 1; }
+  .glow-border { position: absolute; top: 0; left: 0; right: 0; bottom: 0; border: 1.5px solid rgba(var(--accent-rgb),0.12); z-index: 5; pointer-events: none; }
+  .glow-border::before { content: ''; position: absolute; top: -1px; left: 15%; right: 15%; height: 2px; background: linear-gradient(90deg, transparent, var(--accent), var(--accent2), transparent); filter: blur(1px); }
+  .glow-border::after { content: ''; position: absolute; bottom: -1px; left: 15%; right: 15%; height: 2px; background: linear-gradient(90deg, transparent, var(--accent2), var(--accent), transparent); filter: blur(1px); }
+  .glow-left { position: absolute; top: 15%; bottom: 15%; left: -1px; width: 2px; background: linear-gradient(180deg, transparent, var(--accent), transparent); filter: blur(1px); z-index: 5; }
+  .glow-right { position: absolute; top: 15%; bottom: 15%; right: -1px; width: 2px; background: linear-gradient(180deg, transparent, var(--accent2), transparent); filter: blur(1px); z-index: 5; }
+  .corner-tl { position: absolute; top: 16px; left: 16px; width: 48px; height: 48px; border-top: 1.5px solid rgba(var(--accent-rgb),0.25); border-left: 1.5px solid rgba(var(--accent-rgb),0.25); z-index: 4; }
+  .corner-tl::after { content: ''; position: absolute; top: -3px; left: -3px; width: 6px; height: 6px; background: var(--accent); border-radius: 50%; box-shadow: 0 0 calc(10px * var(--glow)) var(--accent); }
+  .corner-br { position: absolute; bottom: 16px; right: 16px; width: 48px; height: 48px; border-bottom: 1.5px solid rgba(var(--accent2-rgb),0.25); border-right: 1.5px solid rgba(var(--accent2-rgb),0.25); z-index: 4; }
+  .corner-br::after { content: ''; position: absolute; bottom: -3px; right: -3px; width: 6px; height: 6px; background: var(--accent2); border-radius: 50%; box-shadow: 0 0 calc(10px * var(--glow)) var(--accent2); }
+  .blob1 { position: absolute; width: 250px; height: 250px; background: radial-gradient(circle, rgba(var(--accent-rgb),0.12) 0%, transparent 70%); top: -80px; right: -60px; z-index: 1; }
+  .blob2 { position: absolute; width: 200px; height: 200px; background: radial-gradient(circle, rgba(var(--accent2-rgb),0.08) 0%, transparent 70%); bottom: -60px; left: -40px; z-index: 1; }
+  .content { position: relative; z-index: 3; width: 100%; height: 100%; display: flex; flex-direction: column; justify-content: center; padding: 52px; }
+  .bottom-bar { position: absolute; bottom: 20px; left: 52px; right: 52px; display: flex; justify-content: space-between; z-index: 6; font-size: 11px; font-weight: 600; color: var(--bar); }
+  .content.cover { text-align: center; align-items: center; }
+  .cover-icon { margin-bottom: 24px; color: var(--accent); }
+  .cover-icon svg { width: 44px; height: 44px; filter: drop-shadow(0 0 calc(14px * var(--glow)) rgba(var(--accent-rgb),calc(0.6 * var(--glow)))); }
+  .cover h1 { font-size: 32px; font-weight: 900; line-height: 1.15; letter-spacing: -0.5px; color: var(--heading); margin-bottom: 14px; }
+  .g { color: var(--accent); text-shadow: 0 0 calc(12px * var(--glow)) rgba(var(--accent-rgb),calc(0.5 * var(--glow))); }
+  .cover h1 .g { text-shadow: 0 0 calc(25px * var(--glow)) rgba(var(--accent-rgb),calc(0.5 * var(--glow))); }
+  strong { font-weight: 700; color: var(--heading); }
+  .cover .sub { font-size: 14px; color: var(--muted); }
+  .content.body { text-align: left; }
+  .label { font-size: 11px; font-weight: 700; letter-spacing: 3px; text-transform: uppercase; color: var(--accent); margin-bottom: 26px; }
+  .label.purple { color: var(--accent2); }
+  .text { font-size: 15px; font-weight: 400; line-height: 1.8; color: var(--text); }
+  .bullets { text-align: left; }
+  .bi { font-size: 13px; line-height: 1.45; color: var(--text); margin-bottom: 14px; padding-left: 22px; position: relative; }
+  .bi::before { content: ''; position: absolute; left: 0; top: 6px; width: 10px; height: 10px; background: var(--accent); border-radius: 50%; box-shadow: 0 0 calc(10px * var(--glow)) rgba(var(--accent-rgb),calc(0.6 * var(--glow))); }
+  /* Portrait 4:5 — extra height goes to bigger type */
+  .format-portrait .cover h1 { font-size: 36px; }
+  .format-portrait .cover .sub { font-size: 15px; }
+  .format-portrait .text { font-size: 16px; }
+  .format-portrait .bi { font-size: 14px; margin-bottom: 18px; }
+  /* Landscape 1.91:1 — compact cover, label beside the text */
+  .format-landscape .content { padding: 26px 48px 38px; }
+  .format-landscape .cover-icon { margin-bottom: 10px; }
+  .format-landscape .cover-icon svg { width: 30px; height: 30px; }
+  .format-landscape .cover h1 { font-size: 26px; margin-bottom: 8px; }
+  .format-landscape .cover .sub { font-size: 12px; }
+  .format-landscape .content.body { display: grid; grid-template-columns: 140px 1fr; column-gap: 28px; align-content: center; align-items: center; }
+  .format-landscape .label { margin-bottom: 0; line-height: 1.6; }
+  .format-landscape .text { font-size: 12px; line-height: 1.5; }
+  .format-landscape .bi { font-size: 12px; line-height: 1.35; margin-bottom: 8px; padding-left: 18px; }
+  .format-landscape .bi::before { top: 4px; width: 8px; height: 8px; }
+  .format-landscape .bottom-bar { bottom: 12px; }
+  .format-landscape .corner-tl, .format-landscape .corner-br { width: 32px; height: 32px; }
+  /* Story 9:16 card */
+  .slide.format-story { width: ${STORY_FORMAT.cssWidth}px; height: ${STORY_FORMAT.cssHeight}px; }
+  .format-story .content { padding: 72px 48px; }
+  .format-story .cover-icon svg { width: 64px; height: 64px; }
+  .format-story .cover h1 { font-size: 44px; margin-bottom: 22px; }
+  .format-story .cover .sub { font-size: 18px; }
+  .format-story .bottom-bar { bottom: 40px; font-size: 13px; }
+  .story-callout { margin-bottom: 36px; padding: 8px 18px; border: 1.5px solid var(--accent); border-radius: 999px; font-size: 13px; font-weight: 700; letter-spacing: 3px; text-transform: uppercase; color: var(--accent); box-shadow: 0 0 calc(18px * var(--glow)) rgba(var(--accent-rgb),calc(0.4 * var(--glow))); }
+  .story-row { display: flex; justify-content: center; }
+  hr { border: none; border-top: 1px solid rgba(var(--accent-rgb),0.1); width: 400px; margin: 20px 0; }`;
+
+let rendererVersion = null;
+
+/**
+ * Identifies this renderer's output; part of every slide's render hash
+ * (render-manifest.js). Covers everything besides a slide's own markup that
+ * decides its pixels: BASE_CSS, the @font-face rules and font files, the
+ * text-fit limits and the capture settings, so changing any of them
+ * re-renders every slide.
+ */
+export function getRendererVersion() {
+    if (!rendererVersion) {
+        const inputs = JSON.stringify({
+            css: BASE_CSS,
+            fontFaces: fontFaceCss(),
+            fontFiles: fontFileHashes(),
+            fit: fitOptions(),
+            chromeArgs: CHROME_ARGS,
+            deviceScaleFactor: DEVICE_SCALE_FACTOR,
+        });
+        rendererVersion = crypto.createHash('sha256').update(inputs).digest('hex').slice(0, 16);
+    }
+    return rendererVersion;
+}
+
+/**
+ * Every slide of a content file as separate markup, in document order: each
+ * post's carousel slides, then its Story card (slideNum null). Takes the same
+ * options as renderSlidesDocument.
+ * @returns {Array<{ id: string, postNum: number, slideNum: number|null, html: string }>}
+ */
+export function renderSlideList(content, options = {}) {
+    const format = resolveFormat(options.format);
+    return content.posts.flatMap(post => {
+        const theme = themeForPost(post, content, options);
+        return [
+            ...postSlideList(post, post.id, theme, format).map(s => ({ ...s, postNum: post.id })),
+            { id: `p${post.id}story`, postNum: post.id, slideNum: null, html: renderStorySlide(post, post.id, theme) },
+        ];
+    });
+}
+
+/**
+ * Full HTML document with every post of a content file.
+ * @param {object} content - Validated content JSON
+ * @param {{ theme?: string, format?: string, fontBaseUrl?: string }} [options] - theme
+ *   forces one theme for every post; format is a slide-formats.js name or ratio;
+ *   fontBaseUrl is assets/fonts/ relative to where the HTML is written (default: from slides/)
+ */
+export function renderSlidesDocument(content, options = {}) {
+    const pageTheme = resolveTheme(options.theme || content.theme || DEFAULT_THEME);
+    const format = resolveFormat(options.format);
+
+    const postSections = content.posts.map((post) => {
+        const postNum = post.id;
+        const theme = themeForPost(post, content, options);
+        const topic = escapeHtml(stripMarkup(post.topic).toUpperCase());
+        return `
+<!-- ========== POST ${postNum}: ${topic.replace(/--/g, '—')} (${theme.name}) ========== -->
+<div class="post-label">POST ${postNum} — ${topic}</div>
+<div class="slide-row">
+${renderPostSlides(post, postNum, theme, format)}
+</div>
+<div class="story-row">
+${renderStorySlide(post, postNum, theme)}
+</div>
+
+<hr>`;
+    }).join('\n');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>Daily AI News Slides — ${escapeHtml(content.date)}</title>
+<style>
+${fontFaceCss(options.fontBaseUrl)}
+${BASE_CSS}
+</style>
+</head>
+<body data-format="${format.name}" style="${themeStyle(pageTheme)};--slide-w:${format.cssWidth}px;--slide-h:${format.cssHeight}px">
+
+${postSections}
+
+</body>
+</html>`;
+}
@@ -0,0 +1,111 @@
+/**
+ * slide-themes.js
+ *
+ * Look-and-feel definitions for slide-renderer.js. A theme is data only:
+ * colours, font, which decorations are drawn and whether accents glow. The
+ * renderer turns it into CSS variables on each slide, so themes can be mixed
+ * within one document (per-post themes).
+ *
+ * Posts with a "category" get that category's accent pair when the theme
+ * defines one (neon and light do; minimal stays monochrome).
+ */
+
+import { FONT_STACK } from './slide-fonts.js';
+
+// Vendored fonts only (slide-fonts.js); nothing is loaded from the network
+const INTER = { family: FONT_STACK };
+
+export const CATEGORIES = ['ai-models', 'funding', 'hardware', 'policy', 'security', 'research', 'product', 'business'];
+
+// Bright accents for dark backgrounds
+const DARK_CATEGORY_ACCENTS = {
+    'ai-models': ['#4d8dff', '#a855f7'],
+    funding: ['#22c55e', '#14b8a6'],
+    hardware: ['#f59e0b', '#ef4444'],
+    policy: ['#eab308', '#f97316'],
+    security: ['#ef4444', '#f97316'],
+    research: ['#06b6d4', '#6366f1'],
+    product: ['#ec4899', '#a855f7'],
+    business: ['#38bdf8', '#22c55e'],
+};
+
+// Deeper shades that stay readable on white
+const LIGHT_CATEGORY_ACCENTS = {
+    'ai-models': ['#2563eb', '#7c3aed'],
+    funding: ['#15803d', '#0f766e'],
+    hardware: ['#b45309', '#b91c1c'],
+    policy: ['#a16207', '#c2410c'],
+    security: ['#b91c1c', '#c2410c'],
+    research: ['#0e7490', '#4338ca'],
+    product: ['#be185d', '#7e22ce'],
+    business: ['#0369a1', '#15803d'],
+};
+
+export const THEMES = {
+    neon: {
+        label: 'Neon AI Grid',
+        font: INTER,
+        colors: {
+            page: '#050810',
+            background: 'linear-gradient(135deg, #080c18 0%, #0d1225 40%, #10162d 100%)',
+            heading: '#ffffff',
+            text: '#cbd5e1',
+            muted: '#94a3b8',
+            bar: 'rgba(148,163,184,0.5)',
+            accent: '#4d8dff',
+            accent2: '#a855f7',
+        },
+        decorations: { grid: true, blobs: true, glowBorder: true, corners: true },
+        glow: true,
+        categoryAccents: DARK_CATEGORY_ACCENTS,
+    },
+    light: {
+        label: 'Light Grid',
+        font: INTER,
+        colors: {
+            page: '#e2e8f0',
+            background: 'linear-gradient(135deg, #ffffff 0%, #f8fafc 50%, #eef2ff 100%)',
+            heading: '#0f172a',
+            text: '#334155',
+            muted: '#64748b',
+            bar: 'rgba(71,85,105,0.6)',
+            accent: '#2563eb',
+            accent2: '#7c3aed',
+        },
+        decorations: { grid: true, blobs: false, glowBorder: true, corners: true },
+        glow: false,
+        categoryAccents: LIGHT_CATEGORY_ACCENTS,
+    },
+    minimal: {
+        label: 'Minimal',
+        font: INTER,
+        colors: {
+            page: '#d4d4d4',
+            background: '#fafafa',
+            heading: '#111111',
+            text: '#262626',
+            muted: '#525252',
+            bar: 'rgba(82,82,82,0.7)',
+            accent: '#111111',
+            accent2: '#525252',
+        },
+        decorations: { grid: false, blobs: false, glowBorder: false, corners: false },
+        glow: false,
+        categoryAccents: null,
+    },
+};
+
+export const DEFAULT_THEME = 'neon';
+
+/**
+ * Look up a theme by name, with the category accent applied.
+ */
+export function resolveTheme(name = DEFAULT_THEME, category = null) {
+    const theme = THEMES[name];
+    if (!theme) {
+        throw new Error(`Unknown slide theme "${name}". Available: ${Object.keys(THEMES).join(', ')}`);
+    }
+    const accents = category && theme.categoryAccents?.[category];
+    if (!accents) return { name, ...theme };
+    return { name, ...theme, colors: { ...theme.colors, accent: accents[0], accent2: accents[1] } };
+}
@@ -1,11 +1,15 @@
 import { config, validateConfig } from './config.js';
 import { validateToken, getInstagramAccountId } from './instagram-poster.js';
+import { inspectToken, refreshToken } from './token-manager.js';
 
 /**
  * Test script to verify your access token and find your Instagram Account ID.
  * Run: npm run test-token
+ *      npm run refresh-token   (same checks after rolling the token forward)
  */
 async function main() {
+    const refresh = process.argv.slice(2).includes('--refresh');
+
     console.log('');
     console.log('🔑 Instagram Token Tester');
     console.log('━━━━━━━━━━━━━━━━━━━━━━━━\n');
@@ -16,6 +20,18 @@ async function main() {
         process.exit(1);
     }
 
+    if (refresh) {
+        console.log('🔄 Refreshing long-lived token...\n');
+        try {
+            const refreshed = await refreshToken();
+            console.log(`  ✅ Token refreshed — valid until ${refreshed.expiresAt.toISOString()} (${refreshed.daysLeft} days)`);
+            console.log(`  💾 Saved to: ${refreshed.savedTo}\n`);
+        } catch (err) {
+            console.error(`  ❌ Refresh failed: ${err.message}\n`);
+            process.exit(1);
+        }
+    }
+
     // Validate token
     console.log('1️⃣  Validating access token...\n');
     const tokenCheck = await validateToken();
@@ -34,8 +50,26 @@ async function main() {
     console.log(`  ✅ Token is VALID`);
     console.log(`  👤 Logged in as: ${tokenCheck.name} (ID: ${tokenCheck.id})\n`);
 
+    // Expiry + permissions
+    console.log('2️⃣  Checking token expiry and permissions...\n');
+    try {
+        const info = await inspectToken();
+        if (info.expiresAt) {
+            const warn = info.daysLeft <= config.token.warnDays ? ' ⚠️  refresh soon: npm run refresh-token' : '';
+            console.log(`  ⏳ Expires: ${info.expiresAt.toISOString()} (${info.daysLeft} days left)${warn}`);
+        } else if (info.source === 'debug_token') {
+            console.log('  ⏳ Expires: never');
+        } else {
+            console.log('  ⏳ Expires: unknown (set INSTAGRAM_APP_ID + INSTAGRAM_APP_SECRET, or run npm run refresh-token once)');
+        }
+        console.log(`  🔍 Source: ${info.source}`);
+        console.log(`  🛡️  Permissions: ${info.scopes ? (info.scopes.join(', ') || 'none') : 'unknown (needs app credentials)'}\n`);
+    } catch (err) {
+        console.error(`  ⚠️  Could not inspect token: ${err.message}\n`);
+    }
+
     // Get Instagram Account ID
-    console.log('2️⃣  Looking up Instagram Business Account...\n');
+    console.log('3️⃣  Looking up Instagram Business Account...\n');
 
     try {
         const igId = await getInstagramAccountId();
@@ -0,0 +1,154 @@
+/**
+ * token-manager.js
+ *
+ * Keeps the long-lived Instagram access token alive:
+ *   - inspectToken()     → expiry + granted permissions (debug_token when app
+ *                          credentials are set, else the expiry recorded at the last refresh)
+ *   - refreshToken()     → rolls the token forward via /refresh_access_token
+ *                          and writes it to the configured store (.env or secrets file)
+ *   - checkTokenExpiry() → warns N days ahead and optionally refreshes
+ *
+ * Long-lived Instagram Login tokens last 60 days and can be refreshed once
+ * they are at least 24 hours old.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { config } from './config.js';
+import { graphRequest } from './graph-client.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function daysUntil(date) {
+    return date ? Math.floor((date.getTime() - Date.now()) / DAY_MS) : null;
+}
+
+/**
+ * Look up expiry and permissions of the current token.
+ * @returns {Promise<{ source: string, valid: boolean, expiresAt: Date|null, daysLeft: number|null, scopes: string[]|null }>}
+ */
+export async function inspectToken() {
+    const { appId, appSecret } = config.token;
+
+    if (appId && appSecret) {
+        const { data } = await graphRequest('GET', 'debug_token', {
+            input_token: config.instagram.accessToken,
+        }, {
+            label: 'Token introspection',
+            baseUrl: config.instagram.facebookGraphBase,
+            accessToken: `${appId}|${appSecret}`,
+        });
+
+        // expires_at = 0 means the token never expires
+        const expiresAt = data.expires_at ? new Date(data.expires_at * 1000) : null;
+        return {
+            source: 'debug_token',
+            valid: Boolean(data.is_valid),
+            expiresAt,
+            daysLeft: daysUntil(expiresAt),
+            scopes: data.scopes || [],
+        };
+    }
+
+    const expiresAt = config.token.expiresAt ? new Date(config.token.expiresAt) : null;
+    return {
+        source: expiresAt ? 'token store' : 'unknown',
+        valid: true,
+        expiresAt,
+        daysLeft: daysUntil(expiresAt),
+        scopes: null,
+    };
+}
+
+/**
+ * Replace (or append) KEY=value lines in a .env file, leaving everything else untouched.
+ */
+function upsertEnvLines(envPath, values) {
+    const lines = fs.existsSync(envPath) ? fs.readFileSync(envPath, 'utf-8').split('\n') : [];
+
+    for (const [key, value] of Object.entries(values)) {
+        const idx = lines.findIndex(l => l.startsWith(`${key}=`));
+        if (idx === -1) {
+            lines.push(`${key}=${value}`);
+        } else {
+            lines[idx] = `${key}=${value}`;
+        }
+    }
+
+    fs.writeFileSync(envPath, lines.join('\n').replace(/\n*$/, '\n'));
+}
+
+function saveToken(accessToken, expiresAt) {
+    const { store, envPath, filePath } = config.token;
+    const refreshedAt = new Date().toISOString();
+
+    if (store === 'file') {
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(filePath, JSON.stringify({ accessToken, expiresAt, refreshedAt }, null, 2) + '\n', { mode: 0o600 });
+        return filePath;
+    }
+
+    upsertEnvLines(envPath, {
+        INSTAGRAM_ACCESS_TOKEN: accessToken,
+        INSTAGRAM_TOKEN_EXPIRES_AT: expiresAt,
+    });
+    return envPath;
+}
+
+/**
+ * Exchange the current long-lived token for a fresh 60-day one and persist it.
+ * Also updates the in-memory config so the rest of this run uses the new token.
+ */
+export async function refreshToken() {
+    const data = await graphRequest('GET', 'refresh_access_token', {
+        grant_type: 'ig_refresh_token',
+    }, { label: 'Token refresh' });
+
+    if (!data.access_token) {
+        throw new Error('Token refresh returned no access_token');
+    }
+
+    const expiresAt = new Date(Date.now() + (data.expires_in || 0) * 1000).toISOString();
+    const savedTo = saveToken(data.access_token, expiresAt);
+
+    config.instagram.accessToken = data.access_token;
+    config.token.expiresAt = expiresAt;
+
+    return { expiresAt: new Date(expiresAt), daysLeft: daysUntil(new Date(expiresAt)), savedTo };
+}
+
+/**
+ * Warn when the token is close to expiring and refresh it if allowed.
+ * Never throws for a failed refresh — the current token still works until it expires.
+ * @param {object} [options]
+ * @param {boolean} [options.autoRefresh] - Defaults to config.token.autoRefresh (TOKEN_AUTO_REFRESH)
+ */
+export async function checkTokenExpiry(options = {}) {
+    const { autoRefresh = config.token.autoRefresh } = options;
+    const { warnDays, refreshWithinDays } = config.token;
+
+    const info = await inspectToken();
+
+    if (info.daysLeft === null) {
+        console.log('  ℹ️  Token expiry unknown (set INSTAGRAM_APP_ID/INSTAGRAM_APP_SECRET, or refresh once to record it).');
+        return info;
+    }
+
+    if (info.daysLeft <= warnDays) {
+        console.log(`  ⚠️  Instagram token expires in ${info.daysLeft} day(s) (${info.expiresAt.toISOString()}).`);
+    }
+
+    if (autoRefresh && info.daysLeft <= refreshWithinDays) {
+        try {
+            const refreshed = await refreshToken();
+            console.log(`  🔄 Token refreshed — now valid for ${refreshed.daysLeft} days (saved to ${refreshed.savedTo}).`);
+            return { ...info, expiresAt: refreshed.expiresAt, daysLeft: refreshed.daysLeft };
+        } catch (err) {
+            console.log(`  ⚠️  Token refresh failed: ${err.message}`);
+        }
+    } else if (info.daysLeft <= warnDays) {
+        console.log('     Run "npm run refresh-token" to roll it forward.');
+    }
+
+    return info;
+}
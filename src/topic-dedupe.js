@@ -0,0 +1,156 @@
+/**
+ * topic-dedupe.js
+ *
+ * Cross-day topic de-duplication. Compares each new post against the posts
+ * of the last N days in content/*.json (and against the other posts of the
+ * same day) using fuzzy similarity on topic, headline and named entities —
+ * so "OpenAI Secures $10B" and "OpenAI's $10 Billion Raise" are caught even
+ * though the strings differ.
+ */
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const ROOT = path.resolve(__dirname, "..");
+
+const STOP_WORDS = new Set([
+    "the", "a", "an", "is", "are", "was", "its", "it", "to", "for", "and", "or", "in", "on", "of", "at",
+    "by", "this", "that", "now", "just", "will", "can", "has", "had", "not", "but", "with", "from", "as",
+    "be", "do", "new", "ai", "how", "why", "what", "into", "over", "after", "about", "their", "your",
+]);
+
+// Hashtags every post carries — they say nothing about the story
+const GENERIC_HASHTAGS = new Set([
+    "ainews", "startupnews", "technews", "businessnews", "innovation", "futuretech", "ai", "tech",
+]);
+
+function words(text) {
+    return String(text || "")
+        .toLowerCase()
+        .replace(/[$€£]/g, " $")
+        .split(/[^a-z0-9$%.]+/)
+        .map(w => w.replace(/^\.+|\.+$/g, ""))
+        .filter(w => w && !STOP_WORDS.has(w));
+}
+
+function entitiesOf(post) {
+    const sc = post.slideContent || {};
+    const text = [post.topic, sc.slide1?.headline, sc.slide1?.subtitle, ...(sc.slide2?.lines || [])].join(" ");
+    const names = text.match(/\b(?:[A-Z][a-zA-Z0-9]+|[A-Z]{2,}[0-9]*)\b/g) || [];
+    const tags = (String(post.caption || "").match(/#(\w+)/g) || [])
+        .map(t => t.slice(1).toLowerCase())
+        .filter(t => !GENERIC_HASHTAGS.has(t));
+    return new Set([...names.map(n => n.toLowerCase()).filter(n => !STOP_WORDS.has(n)), ...tags]);
+}
+
+function bigrams(text) {
+    const s = String(text || "").toLowerCase().replace(/[^a-z0-9]+/g, " ").trim();
+    const grams = new Set();
+    for (let i = 0; i < s.length - 1; i++) grams.add(s.slice(i, i + 2));
+    return grams;
+}
+
+function jaccard(a, b) {
+    if (a.size === 0 && b.size === 0) return 0;
+    let inter = 0;
+    for (const x of a) if (b.has(x)) inter++;
+    return inter / (a.size + b.size - inter);
+}
+
+function dice(a, b) {
+    if (a.size === 0 || b.size === 0) return 0;
+    let inter = 0;
+    for (const x of a) if (b.has(x)) inter++;
+    return (2 * inter) / (a.size + b.size);
+}
+
+/**
+ * Precomputed comparison features for a post.
+ */
+export function topicSignature(post, date = null) {
+    const headline = post.slideContent?.slide1?.headline || "";
+    return {
+        date,
+        id: post.id,
+        topic: post.topic,
+        headline,
+        tokens: new Set(words(`${post.topic} ${headline}`)),
+        topicGrams: bigrams(post.topic),
+        entities: entitiesOf(post),
+    };
+}
+
+/**
+ * Similarity in [0, 1] between two signatures: headline/topic word overlap,
+ * fuzzy topic match and shared entities.
+ */
+export function similarity(a, b) {
+    return 0.4 * jaccard(a.tokens, b.tokens) +
+        0.3 * dice(a.topicGrams, b.topicGrams) +
+        0.3 * jaccard(a.entities, b.entities);
+}
+
+/**
+ * Signatures of every post published in the `days` days before targetDate.
+ */
+export function loadRecentPosts(targetDate, days) {
+    const contentDir = path.resolve(ROOT, "content");
+    if (!fs.existsSync(contentDir)) return [];
+
+    const end = new Date(`${targetDate}T00:00:00Z`).getTime();
+    const start = end - days * 24 * 60 * 60 * 1000;
+    const recent = [];
+
+    for (const file of fs.readdirSync(contentDir).filter(f => /^\d{4}-\d{2}-\d{2}\.json$/.test(f)).sort()) {
+        const date = file.replace(/\.json$/, "");
+        const t = new Date(`${date}T00:00:00Z`).getTime();
+        if (t < start || t >= end) continue;
+
+        try {
+            const content = JSON.parse(fs.readFileSync(path.resolve(contentDir, file), "utf-8"));
+            for (const post of content.posts || []) {
+                if (post?.topic) recent.push(topicSignature(post, date));
+            }
+        } catch {
+            // A broken archive file shouldn't block today's generation
+        }
+    }
+    return recent;
+}
+
+/**
+ * Posts that repeat a recent story, or another post of the same day.
+ * @returns {Array<{ post: object, match: object, score: number }>}
+ */
+export function findDuplicates(posts, recent, threshold) {
+    const duplicates = [];
+    const today = [];
+
+    for (const post of posts) {
+        const sig = topicSignature(post);
+        let best = null;
+        for (const other of [...recent, ...today]) {
+            const score = similarity(sig, other);
+            if (score >= threshold && (!best || score > best.score)) best = { match: other, score };
+        }
+        if (best) {
+            duplicates.push({ post, ...best });
+        } else {
+            today.push(sig);
+        }
+    }
+    return duplicates;
+}
+
+/**
+ * Exclusion list for the prompt.
+ */
+export function formatRecentTopicsForPrompt(recent) {
+    if (recent.length === 0) return "(none)";
+    return recent
+        .map(r => `- ${r.date}: ${r.topic} — "${r.headline}"`)
+        .join("\n");
+}
@@ -0,0 +1,157 @@
+/**
+ * url-preflight.js
+ *
+ * Checks that Instagram will be able to fetch every image before any media
+ * container is created. Instagram downloads image_url itself and only
+ * reports a vague container ERROR minutes later, so each URL is fetched here
+ * and checked for:
+ *   - HTTP 200
+ *   - an image/jpeg or image/png content type
+ *   - JPEG / PNG magic bytes (not an HTML error page served as 200)
+ *   - pixel width and aspect ratio within Instagram's limits
+ *   - file size under 8 MB
+ *
+ * Files that were just pushed or uploaded may not be served yet (404, 5xx,
+ * network errors); those are retried config.preflight.retries times,
+ * config.preflight.retryDelayMs apart. Other failures are final.
+ */
+
+import fetch from 'node-fetch';
+import { config } from './config.js';
+import { imageInfoFromBuffer } from './image-info.js';
+
+// https://developers.facebook.com/docs/instagram-platform/instagram-graph-api/reference/ig-user/media
+export const FEED_LIMITS = {
+    minRatio: 4 / 5,
+    maxRatio: 1.91,
+    minWidth: 320,
+    maxWidth: 1440,
+    maxBytes: 8 * 1024 * 1024,
+};
+
+export const STORY_LIMITS = {
+    minRatio: 0.1,
+    maxRatio: 10,
+    minWidth: 320,
+    maxWidth: 1920,
+    maxBytes: 8 * 1024 * 1024,
+};
+
+const CONTENT_TYPES = ['image/jpeg', 'image/png'];
+
+/**
+ * Error thrown when at least one URL fails; `results` holds every check.
+ */
+export class PreflightError extends Error {
+    constructor(message, results) {
+        super(message);
+        this.name = 'PreflightError';
+        this.results = results;
+    }
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function formatBytes(n) {
+    return n >= 1024 * 1024 ? `${(n / 1024 / 1024).toFixed(1)} MB` : `${Math.round(n / 1024)} KB`;
+}
+
+/**
+ * Fetch one URL and check it against the limits.
+ * @returns {Promise<{ url: string, ok: boolean, retryable: boolean, problems: string[],
+ *   status?: number, contentType?: string, type?: string, width?: number, height?: number, bytes?: number }>}
+ */
+export async function checkImageUrl(url, limits = FEED_LIMITS) {
+    const result = { url, ok: false, retryable: false, problems: [] };
+
+    let res;
+    try {
+        res = await fetch(url, { timeout: config.preflight.timeoutMs, redirect: 'follow' });
+    } catch (err) {
+        result.retryable = true;
+        result.problems.push(`request failed: ${err.message}`);
+        return result;
+    }
+
+    result.status = res.status;
+    if (res.status !== 200) {
+        result.retryable = res.status === 404 || res.status === 408 || res.status === 429 || res.status >= 500;
+        result.problems.push(`HTTP ${res.status}`);
+        return result;
+    }
+
+    result.contentType = (res.headers.get('content-type') || '').split(';')[0].trim().toLowerCase();
+    if (!CONTENT_TYPES.includes(result.contentType)) {
+        result.problems.push(`content type is "${result.contentType || 'missing'}", expected ${CONTENT_TYPES.join(' or ')}`);
+    }
+
+    const buf = Buffer.from(await res.arrayBuffer());
+    result.bytes = buf.length;
+    if (buf.length > limits.maxBytes) {
+        result.problems.push(`${formatBytes(buf.length)} is over the ${formatBytes(limits.maxBytes)} limit`);
+    }
+
+    const info = imageInfoFromBuffer(buf);
+    if (!info) {
+        result.problems.push('body is not a JPEG or PNG image');
+        return result;
+    }
+    Object.assign(result, { type: info.type, width: info.width, height: info.height });
+
+    const ratio = info.width / info.height;
+    if (ratio < limits.minRatio - 0.005 || ratio > limits.maxRatio + 0.005) {
+        result.problems.push(
+            `aspect ratio ${ratio.toFixed(3)} (${info.width}x${info.height}) is outside ` +
+            `${limits.minRatio.toFixed(2)}–${limits.maxRatio.toFixed(2)}`
+        );
+    }
+    if (info.width < limits.minWidth || info.width > limits.maxWidth) {
+        result.problems.push(`width ${info.width}px is outside ${limits.minWidth}–${limits.maxWidth}px`);
+    }
+
+    result.ok = result.problems.length === 0;
+    return result;
+}
+
+/**
+ * One report line per URL.
+ */
+export function formatPreflightReport(results, indent = '     ') {
+    return results.map((r, i) => {
+        const label = `Slide ${i + 1}`;
+        if (r.ok) {
+            return `${indent}✅ ${label}: ${r.type.toUpperCase()} ${r.width}x${r.height}, ${formatBytes(r.bytes)}`;
+        }
+        return `${indent}❌ ${label}: ${r.problems.join('; ')}\n${indent}   ${r.url}`;
+    }).join('\n');
+}
+
+/**
+ * Check every URL, waiting and retrying those that aren't served yet.
+ * Throws PreflightError (with the per-slide report) if any still fail.
+ */
+export async function preflightImageUrls(urls, { limits = FEED_LIMITS, retries = config.preflight.retries, retryDelayMs = config.preflight.retryDelayMs } = {}) {
+    console.log(`  🔎 Pre-flight check of ${urls.length} image URL(s)...`);
+    const results = await Promise.all(urls.map(url => checkImageUrl(url, limits)));
+
+    for (let attempt = 1; attempt <= retries; attempt++) {
+        const pending = results.map((r, i) => (!r.ok && r.retryable ? i : -1)).filter(i => i >= 0);
+        if (pending.length === 0) break;
+
+        console.log(`  ⏳ ${pending.length} URL(s) not reachable yet, retry ${attempt}/${retries} in ${retryDelayMs / 1000}s...`);
+        await sleep(retryDelayMs);
+        await Promise.all(pending.map(async i => {
+            results[i] = await checkImageUrl(urls[i], limits);
+        }));
+    }
+
+    const report = formatPreflightReport(results);
+    const failed = results.filter(r => !r.ok);
+    if (failed.length > 0) {
+        throw new PreflightError(`Pre-flight failed for ${failed.length} of ${results.length} image(s):\n${report}`, results);
+    }
+    console.log(report);
+    return results;
+}
@@ -0,0 +1,77 @@
+/**
+ * validate-content.js
+ *
+ * Validates content JSON files against schema/content.v1.schema.json and
+ * lists every violation with its JSON path.
+ *
+ * Usage:
+ *   node src/validate-content.js                          → latest file in content/
+ *   node src/validate-content.js --date 2026-02-25        → content/2026-02-25.json
+ *   node src/validate-content.js content/a.json content/b.json
+ *
+ * Exit code 0 when every file is valid, 1 otherwise.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { validateContent, formatContentErrors, CONTENT_SCHEMA_VERSION } from './content-schema.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const ROOT = path.resolve(__dirname, '..');
+
+function resolveFiles(args) {
+    const dateIdx = args.indexOf('--date');
+    if (dateIdx !== -1 && args[dateIdx + 1]) {
+        return [path.resolve(ROOT, 'content', `${args[dateIdx + 1]}.json`)];
+    }
+
+    const explicit = args.filter(a => !a.startsWith('--'));
+    if (explicit.length > 0) {
+        return explicit.map(f => path.resolve(f));
+    }
+
+    const contentDir = path.resolve(ROOT, 'content');
+    const files = fs.readdirSync(contentDir).filter(f => f.endsWith('.json')).sort().reverse();
+    return files.length > 0 ? [path.resolve(contentDir, files[0])] : [];
+}
+
+function main() {
+    const files = resolveFiles(process.argv.slice(2));
+    if (files.length === 0) {
+        console.error('No content JSON files found in content/');
+        process.exit(1);
+    }
+
+    console.log(`\n🧾 Validating against content schema v${CONTENT_SCHEMA_VERSION}`);
+    console.log('━'.repeat(40));
+
+    let failed = 0;
+    for (const file of files) {
+        const rel = path.relative(ROOT, file);
+
+        let content;
+        try {
+            content = JSON.parse(fs.readFileSync(file, 'utf-8'));
+        } catch (err) {
+            console.log(`  ❌ ${rel}: ${err.code === 'ENOENT' ? 'file not found' : `invalid JSON (${err.message})`}`);
+            failed++;
+            continue;
+        }
+
+        const { valid, errors } = validateContent(content);
+        if (valid) {
+            console.log(`  ✅ ${rel}`);
+        } else {
+            console.log(`  ❌ ${rel} — ${errors.length} violation(s):`);
+            console.log(formatContentErrors(errors, '     '));
+            failed++;
+        }
+    }
+
+    console.log('');
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+main();
@@ -0,0 +1,169 @@
+/**
+ * visual-regression.js
+ *
+ * Golden-image tests for the slide templates. Every case in
+ * fixtures/visual/cases.json renders a fixture content file through the slide
+ * renderer and the same Puppeteer capture as generate-images.js, then
+ * compares each PNG with its committed baseline in
+ * fixtures/visual/baselines/<case>/. Runs fully offline (vendored fonts,
+ * external requests blocked).
+ *
+ * A slide fails when more than VISUAL_MAX_DIFF_RATIO of its pixels differ
+ * (pixelmatch, per-pixel colour threshold VISUAL_PIXEL_THRESHOLD); its diff
+ * image is written next to the capture in fixtures/visual/output/<case>/.
+ *
+ * Usage:
+ *   node src/visual-regression.js                      → compare all cases
+ *   node src/visual-regression.js --case neon-square   → one case
+ *   node src/visual-regression.js --update-baselines   → accept the current output
+ *
+ * Baselines depend on the browser build, so captures here use the Chromium
+ * pinned in devDependencies (@sparticuz/chromium, self-contained: its own
+ * libraries and no system fonts needed) instead of Puppeteer's Chrome, so
+ * they don't depend on the machine (Linux x64, CI included). A slide without
+ * a committed baseline fails; --update-baselines writes them.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import chromium from '@sparticuz/chromium';
+import pixelmatch from 'pixelmatch';
+import { PNG } from 'pngjs';
+import { assertValidContent } from './content-schema.js';
+import { renderSlidesDocument } from './slide-renderer.js';
+import { resolveFormat } from './slide-formats.js';
+import { captureSlides } from './slide-capture.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const ROOT = path.resolve(__dirname, '..');
+
+const FIXTURES_DIR = path.resolve(ROOT, 'fixtures', 'visual');
+const BASELINES_DIR = path.resolve(FIXTURES_DIR, 'baselines');
+const OUTPUT_DIR = path.resolve(FIXTURES_DIR, 'output');
+
+const PIXEL_THRESHOLD = parseFloat(process.env.VISUAL_PIXEL_THRESHOLD || '0.1');
+const MAX_DIFF_RATIO = parseFloat(process.env.VISUAL_MAX_DIFF_RATIO || '0.001');
+
+function loadCases(onlyCase = null) {
+    const cases = JSON.parse(fs.readFileSync(path.resolve(FIXTURES_DIR, 'cases.json'), 'utf-8'));
+    const selected = onlyCase ? cases.filter(c => c.name === onlyCase) : cases;
+    if (selected.length === 0) {
+        throw new Error(`No visual case named "${onlyCase}". Available: ${cases.map(c => c.name).join(', ')}`);
+    }
+    return selected;
+}
+
+/**
+ * Render and capture one case into output/<case>/. Returns the PNG file names.
+ */
+async function captureCase(testCase) {
+    const content = JSON.parse(fs.readFileSync(path.resolve(FIXTURES_DIR, testCase.content), 'utf-8'));
+    assertValidContent(content, testCase.content);
+    if (testCase.posts) {
+        content.posts = content.posts.filter(p => testCase.posts.includes(p.id));
+    }
+
+    const format = resolveFormat(testCase.format || 'square');
+    const outputDir = path.resolve(OUTPUT_DIR, testCase.name);
+    fs.rmSync(outputDir, { recursive: true, force: true });
+    fs.mkdirSync(outputDir, { recursive: true });
+
+    const htmlPath = path.resolve(outputDir, 'slides.html');
+    fs.writeFileSync(htmlPath, renderSlidesDocument(content, {
+        theme: testCase.theme,
+        format: format.name,
+        fontBaseUrl: pathToFileURL(path.resolve(ROOT, 'assets', 'fonts')).href,
+    }));
+
+    await captureSlides(htmlPath, outputDir, format, { executablePath: await chromium.executablePath() });
+    return fs.readdirSync(outputDir).filter(f => f.endsWith('.png') && !f.endsWith('.diff.png')).sort();
+}
+
+/**
+ * Compare a capture with its baseline; writes <name>.diff.png on failure.
+ * @returns {{ ok: boolean, message: string }}
+ */
+function compareImage(actualPath, baselinePath) {
+    if (!fs.existsSync(baselinePath)) {
+        return { ok: false, message: 'no baseline (run with --update-baselines)' };
+    }
+
+    const actual = PNG.sync.read(fs.readFileSync(actualPath));
+    const expected = PNG.sync.read(fs.readFileSync(baselinePath));
+    if (actual.width !== expected.width || actual.height !== expected.height) {
+        return {
+            ok: false,
+            message: `size changed: ${actual.width}x${actual.height}, baseline ${expected.width}x${expected.height}`,
+        };
+    }
+
+    const { width, height } = actual;
+    const diff = new PNG({ width, height });
+    const changed = pixelmatch(actual.data, expected.data, diff.data, width, height, { threshold: PIXEL_THRESHOLD });
+    const ratio = changed / (width * height);
+    const summary = `${changed} px differ (${(ratio * 100).toFixed(3)}%)`;
+
+    if (ratio <= MAX_DIFF_RATIO) {
+        return { ok: true, message: summary };
+    }
+    const diffPath = actualPath.replace(/\.png$/, '.diff.png');
+    fs.writeFileSync(diffPath, PNG.sync.write(diff));
+    return { ok: false, message: `${summary} → ${path.relative(ROOT, diffPath)}` };
+}
+
+async function runCase(testCase, update) {
+    console.log(`\n🧪 ${testCase.name} (${testCase.theme || 'per-post themes'}, ${testCase.format || 'square'})`);
+    const files = await captureCase(testCase);
+    const outputDir = path.resolve(OUTPUT_DIR, testCase.name);
+    const baselineDir = path.resolve(BASELINES_DIR, testCase.name);
+
+    if (update) {
+        fs.rmSync(baselineDir, { recursive: true, force: true });
+        fs.mkdirSync(baselineDir, { recursive: true });
+        for (const f of files) fs.copyFileSync(path.resolve(outputDir, f), path.resolve(baselineDir, f));
+        console.log(`  📌 ${files.length} baselines updated in ${path.relative(ROOT, baselineDir)}`);
+        return 0;
+    }
+
+    let failures = 0;
+    for (const f of files) {
+        const result = compareImage(path.resolve(outputDir, f), path.resolve(baselineDir, f));
+        console.log(`  ${result.ok ? '✅' : '❌'} ${f}: ${result.message}`);
+        if (!result.ok) failures++;
+    }
+
+    // A baseline without a capture means a slide disappeared
+    const stale = fs.existsSync(baselineDir)
+        ? fs.readdirSync(baselineDir).filter(f => f.endsWith('.png') && !files.includes(f))
+        : [];
+    for (const f of stale) {
+        console.log(`  ❌ ${f}: baseline exists but the slide was not rendered`);
+    }
+    return failures + stale.length;
+}
+
+// ─── CLI ───
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    const args = process.argv.slice(2);
+    const caseIdx = args.indexOf('--case');
+    const onlyCase = caseIdx !== -1 ? args[caseIdx + 1] : null;
+    const update = args.includes('--update-baselines');
+
+    try {
+        let failures = 0;
+        for (const testCase of loadCases(onlyCase)) {
+            failures += await runCase(testCase, update);
+        }
+        if (failures > 0) {
+            console.error(`\n❌ ${failures} slide(s) differ from their baselines.`);
+            console.error('   If the change is intended: node src/visual-regression.js --update-baselines');
+            process.exit(1);
+        }
+        console.log(update ? '\n📌 Baselines updated.\n' : '\n✅ All slides match their baselines.\n');
+    } catch (err) {
+        console.error(`\n❌ ${err.message}`);
+        process.exit(1);
+    }
+}
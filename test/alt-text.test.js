@@ -0,0 +1,27 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { slideAltText } from '../src/alt-text.js';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const CONTENT = JSON.parse(fs.readFileSync(path.resolve(ROOT, 'fixtures/visual/content.json'), 'utf-8'));
+
+test('alt text follows slideContent edited after generation', () => {
+    const post = structuredClone(CONTENT.posts[0]);
+    const [before] = slideAltText(post);
+    post.slideContent.slide1.headline = 'Edited headline';
+
+    const [cover] = slideAltText(post);
+    assert.match(cover, /^Slide 1 of \d\. Edited headline\. /);
+    assert.notEqual(cover, before);
+});
+
+test('one alt text per slide, in slide order', () => {
+    for (const post of CONTENT.posts) {
+        const texts = slideAltText(post);
+        assert.equal(texts.length, post.slideContent.slide4 ? 4 : 3);
+        texts.forEach((text, i) => assert.match(text, new RegExp(`^Slide ${i + 1} of ${texts.length}\\. `)));
+    }
+});
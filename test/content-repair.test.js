@@ -0,0 +1,125 @@
+import { test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const VALID = JSON.parse(fs.readFileSync(path.resolve(ROOT, 'fixtures/visual/content.json'), 'utf-8'));
+// Same posts with captions that pass config/caption-rules.json
+const LINT_CLEAN = JSON.parse(fs.readFileSync(path.resolve(ROOT, 'fixtures/post-pipeline/content/2026-01-01.json'), 'utf-8'));
+
+// Stand-in for an OpenAI-compatible server; answers with whatever `reply` holds
+let reply = JSON.stringify(VALID);
+let calls = 0;
+const server = http.createServer((req, res) => {
+    req.resume();
+    req.on('end', () => {
+        calls++;
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ choices: [{ message: { content: reply } }] }));
+    });
+});
+
+let fixturesDir;
+let coerceToExpected;
+let lintCaptionsWithRetry;
+
+before(async () => {
+    // Provider progress goes to stdout, which the Node 20 test runner shares
+    mock.method(console, 'log', () => {});
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    fixturesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'llm-fixtures-'));
+    process.env.LLM_PROVIDER_ORDER = 'local';
+    process.env.LOCAL_LLM_BASE_URL = `http://127.0.0.1:${server.address().port}/v1`;
+    process.env.LLM_FIXTURES_DIR = fixturesDir;
+    process.env.LLM_CACHE_MODE = 'record';
+    ({ coerceToExpected, lintCaptionsWithRetry } = await import('../src/generate-content.js'));
+});
+
+after(() => {
+    server.close();
+    fs.rmSync(fixturesDir, { recursive: true, force: true });
+});
+
+// A post without slideContent fails the schema and needs the repair pass
+function brokenContent() {
+    const content = structuredClone(VALID);
+    delete content.posts[0].slideContent;
+    return content;
+}
+
+test('valid content is returned without a model call', async () => {
+    calls = 0;
+    const result = await coerceToExpected(JSON.stringify(VALID), structuredClone(VALID), VALID.date);
+    assert.deepEqual(result, VALID);
+    assert.equal(calls, 0);
+});
+
+test('invalid content is repaired through the model, then replayed offline', async () => {
+    reply = JSON.stringify(VALID);
+    calls = 0;
+    const broken = brokenContent();
+    const recorded = await coerceToExpected(JSON.stringify(broken), broken, VALID.date);
+    assert.deepEqual(recorded, VALID);
+    assert.equal(calls, 1);
+    assert.equal(fs.readdirSync(fixturesDir).length, 1);
+
+    process.env.LLM_CACHE_MODE = 'replay';
+    reply = 'not used';
+    try {
+        const again = brokenContent();
+        const replayed = await coerceToExpected(JSON.stringify(again), again, VALID.date);
+        assert.deepEqual(replayed, recorded);
+        assert.equal(calls, 1);
+    } finally {
+        process.env.LLM_CACHE_MODE = 'record';
+    }
+});
+
+test('a non-JSON repair answer is an error', async () => {
+    reply = "Sorry, I can't help with that.";
+    const broken = brokenContent();
+    broken.posts[0].topic = 'non-JSON case';
+    await assert.rejects(
+        coerceToExpected(JSON.stringify(broken), broken, VALID.date),
+        { message: 'Repair step returned non-JSON.' }
+    );
+});
+
+test('a repair answer that still breaks the schema is an error', async () => {
+    reply = JSON.stringify(brokenContent());
+    const broken = brokenContent();
+    broken.posts[0].topic = 'still-invalid case';
+    await assert.rejects(
+        coerceToExpected(JSON.stringify(broken), broken, VALID.date),
+        /Invalid JSON structure after repair/
+    );
+});
+
+// Post 2 loses its question, which the auto-fixes can't add back
+function captionlessQuestion() {
+    const content = structuredClone(LINT_CLEAN);
+    content.posts[1].caption = content.posts[1].caption.replace(/[^\n]*\?[^\n]*\n*/g, '');
+    return content;
+}
+
+test('a caption that fails lint is rewritten once with the errors in the prompt', async () => {
+    reply = JSON.stringify([{ id: 2, caption: LINT_CLEAN.posts[1].caption }]);
+    calls = 0;
+    const content = captionlessQuestion();
+    const failures = await lintCaptionsWithRetry(content);
+    assert.deepEqual(failures, []);
+    assert.equal(calls, 1);
+    assert.equal(content.posts[1].caption, LINT_CLEAN.posts[1].caption);
+});
+
+test('a caption still failing after the rewrite is reported', async () => {
+    const content = captionlessQuestion();
+    reply = JSON.stringify([{ id: 2, caption: content.posts[1].caption + ' ' }]);
+    const failures = await lintCaptionsWithRetry(content);
+    assert.deepEqual(failures.map(f => f.postId), [2]);
+    assert.ok(failures[0].errors.some(e => e.rule === 'question'));
+});
@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { validateContent, assertValidContent } from '../src/content-schema.js';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const read = file => JSON.parse(fs.readFileSync(path.resolve(ROOT, file), 'utf-8'));
+
+test('current content files are accepted', () => {
+    for (const file of ['content/2026-02-28.json', 'fixtures/visual/content.json']) {
+        assert.deepEqual(validateContent(read(file)), { valid: true, errors: [] }, file);
+    }
+});
+
+test('the old pre-slideContent format is rejected with JSON paths', () => {
+    const { valid, errors } = validateContent(read('content/2026-02-23.json'));
+    assert.equal(valid, false);
+    assert.ok(errors.some(e => e.path === '$.posts[0].slideContent' && e.message === 'is required'));
+    assert.ok(errors.some(e => e.path === '$.posts[0].svgIcon' && e.message === 'is required'));
+    assert.throws(() => assertValidContent(read('content/2026-02-23.json'), 'old.json'), /^Error: old\.json does not match content schema v1/);
+});
+
+test('a 4-slide post needs slide4 bullets', () => {
+    const content = read('fixtures/visual/content.json');
+    const post = content.posts.find(p => p.slides === 4);
+    delete post.slideContent.slide4.bullets;
+
+    const { errors } = validateContent(content);
+    const index = content.posts.indexOf(post);
+    assert.deepEqual(errors, [{ path: `$.posts[${index}].slideContent.slide4.bullets`, message: 'is required' }]);
+});
+
+test('svgIcon must be one of the renderer icons', () => {
+    const content = read('fixtures/visual/content.json');
+    content.posts[0].svgIcon = 'sparkles';
+
+    const { errors } = validateContent(content);
+    assert.equal(errors.length, 1);
+    assert.equal(errors[0].path, '$.posts[0].svgIcon');
+    assert.match(errors[0].message, /^must be one of: brain, chip, /);
+});
@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { extractClaims } from '../src/fact-check.js';
+
+function claimsIn(caption) {
+    return extractClaims({ caption }).map(c => c.text);
+}
+
+test('figures, dates and named products are claims', () => {
+    for (const sentence of [
+        'Revenue grew 40% last quarter.',
+        'The startup raised $40B.',
+        'ChatGPT now has 800 million weekly users.',
+        'GPT-5 is available to everyone.',
+        'Llama 3.1 beats its rivals.',
+        'The update lands on March 3.',
+        'It ships in 2026.',
+        'The H100 is sold out again.',
+        'Inference runs 3x faster.',
+    ]) {
+        assert.deepEqual(claimsIn(sentence), [sentence]);
+    }
+});
+
+test('capitalised words and small counts alone are not claims', () => {
+    for (const sentence of [
+        'Today Big Tech is moving fast.',
+        'Here are 3 ways to use it.',
+        'AI is changing how we work.',
+        'What does this mean for you?',
+    ]) {
+        assert.deepEqual(claimsIn(sentence), []);
+    }
+});
+
+test('hashtags are ignored', () => {
+    assert.deepEqual(claimsIn('Follow for more. #GPT5 #AI2026'), []);
+});
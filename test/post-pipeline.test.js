@@ -0,0 +1,162 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'child_process';
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { startMockGraphServer } from '../src/mock-graph-server.js';
+
+// End to end: post-carousels.js publishes post 1 of fixtures/post-pipeline/
+// against the mock Graph API, with images copied to a local static host.
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const FIXTURE = path.join('fixtures', 'post-pipeline');
+const DATE = '2026-01-01';
+const PROGRESS_FILE = path.join('in-flight', `${DATE}_post1.json`);
+
+let tmp;
+let imageServer;
+let imageBaseUrl;
+
+before(async () => {
+    tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'post-pipeline-'));
+    fs.mkdirSync(path.join(tmp, 'public'));
+    imageServer = http.createServer((req, res) => {
+        const file = path.join(tmp, 'public', path.normalize(decodeURIComponent(req.url)));
+        if (!fs.existsSync(file)) {
+            res.writeHead(404);
+            res.end();
+            return;
+        }
+        res.writeHead(200, { 'Content-Type': file.endsWith('.png') ? 'image/png' : 'image/jpeg' });
+        res.end(fs.readFileSync(file));
+    });
+    await new Promise(resolve => imageServer.listen(0, '127.0.0.1', resolve));
+    imageBaseUrl = `http://127.0.0.1:${imageServer.address().port}`;
+});
+
+after(() => {
+    imageServer.close();
+    fs.rmSync(tmp, { recursive: true, force: true });
+});
+
+function post(graph, stateDir, { contentDir = path.join(FIXTURE, 'content'), args = ['--allow-unsupported'] } = {}) {
+    const env = {
+        ...process.env,
+        CONTENT_DIR: contentDir,
+        CAPTURED_IMAGES_DIR: path.join(FIXTURE, 'images'),
+        IMAGE_HOST: 'static',
+        STATIC_IMAGE_DIR: path.join(tmp, 'public'),
+        STATIC_IMAGE_BASE_URL: imageBaseUrl,
+        INSTAGRAM_GRAPH_API_BASE: graph.url,
+        FACEBOOK_GRAPH_API_BASE: graph.url,
+        INSTAGRAM_ACCESS_TOKEN: 'mock-token',
+        INSTAGRAM_ACCOUNT_ID: '17841400000000000',
+        INSTAGRAM_STORIES_ENABLED: 'false',
+        TOKEN_STORE: 'env',
+        STATE_DIR: stateDir,
+        POST_SPACING_MS: '0',
+        GRAPH_RETRY_BASE_MS: '10',
+        PREFLIGHT_RETRIES: '0',
+    };
+    return new Promise(resolve => {
+        execFile(process.execPath, ['src/post-carousels.js', '--post-index', '1', ...args],
+            { cwd: ROOT, env, timeout: 120000 },
+            (err, stdout, stderr) => resolve({ code: err ? err.code : 0, output: stdout + stderr }));
+    });
+}
+
+function readJson(file) {
+    return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf-8')) : null;
+}
+
+function ledgerEntries(stateDir) {
+    return Object.values(readJson(path.join(stateDir, 'published.json'))?.entries || {});
+}
+
+async function withMock(options, fn) {
+    const graph = await startMockGraphServer({ port: 0, quiet: true, ...options });
+    try {
+        await fn(graph);
+    } finally {
+        await graph.close();
+    }
+}
+
+test('publishes a carousel and records it in the ledger', async () => {
+    const stateDir = path.join(tmp, 'state-happy');
+    await withMock({}, async graph => {
+        const run = await post(graph, stateDir);
+        assert.equal(graph.state.published.length, 1, run.output);
+
+        const [entry] = ledgerEntries(stateDir);
+        assert.equal(entry.date, DATE);
+        assert.equal(entry.postId, 1);
+        assert.equal(entry.mediaType, 'CAROUSEL');
+        assert.equal(entry.mediaId, graph.state.published[0].mediaId);
+        assert.ok(entry.slideUrls.every(url => url.startsWith(imageBaseUrl)));
+        assert.equal(fs.existsSync(path.join(stateDir, PROGRESS_FILE)), false);
+
+        // A second run finds the ledger entry and does not post again
+        await post(graph, stateDir);
+        assert.equal(graph.state.published.length, 1);
+    });
+});
+
+test('a container that ends in ERROR is recreated on the next run, the others reused', async () => {
+    const stateDir = path.join(tmp, 'state-error-container');
+    await withMock({ errorContainers: [2] }, async graph => {
+        const first = await post(graph, stateDir);
+        assert.equal(graph.state.published.length, 0, first.output);
+        const progress = readJson(path.join(stateDir, PROGRESS_FILE));
+        assert.equal(progress.children[1].status, 'ERROR');
+        assert.equal(ledgerEntries(stateDir).length, 0);
+
+        const second = await post(graph, stateDir);
+        assert.equal(graph.state.published.length, 1, second.output);
+        assert.match(second.output, /Slide 1: Reusing container/);
+        assert.match(second.output, /Slide 2: Container .* expired or failed, recreating/);
+        assert.equal(ledgerEntries(stateDir).length, 1);
+        assert.equal(fs.existsSync(path.join(stateDir, PROGRESS_FILE)), false);
+    });
+});
+
+test('a transient media_publish failure is not retried; the next run resumes and publishes', async () => {
+    const stateDir = path.join(tmp, 'state-publish-failure');
+    await withMock({ failures: [{ endpoint: 'media_publish', nth: 1, code: 2 }] }, async graph => {
+        const first = await post(graph, stateDir);
+        assert.equal(graph.state.calls.media_publish, 1, first.output);
+        assert.equal(graph.state.published.length, 0);
+        assert.equal(ledgerEntries(stateDir).length, 0);
+        const progress = readJson(path.join(stateDir, PROGRESS_FILE));
+        assert.equal(progress.carousel.status, 'FINISHED');
+
+        const second = await post(graph, stateDir);
+        assert.equal(graph.state.published.length, 1, second.output);
+        assert.match(second.output, /Reusing carousel container/);
+        assert.equal(ledgerEntries(stateDir).length, 1);
+        assert.equal(fs.existsSync(path.join(stateDir, PROGRESS_FILE)), false);
+    });
+});
+
+test('a post blocked by fact-check is not published and fails the run', async () => {
+    const stateDir = path.join(tmp, 'state-blocked');
+    const contentDir = path.join(tmp, 'content-blocked');
+    const content = readJson(path.join(FIXTURE, 'content', `${DATE}.json`));
+    content.posts[0].factCheck = {
+        checkedAt: '2026-01-01T06:00:00.000Z',
+        verdict: 'unsupported',
+        claims: [{ field: 'caption', text: 'A made-up figure.', verdict: 'unsupported' }],
+    };
+    fs.mkdirSync(contentDir);
+    fs.writeFileSync(path.join(contentDir, `${DATE}.json`), JSON.stringify(content));
+
+    await withMock({}, async graph => {
+        const run = await post(graph, stateDir, { contentDir, args: [] });
+        assert.equal(run.code, 1, run.output);
+        assert.match(run.output, /1 post\(s\) blocked by fact-check/);
+        assert.equal(graph.state.published.length, 0);
+        assert.equal(ledgerEntries(stateDir).length, 0);
+    });
+});
@@ -0,0 +1,48 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { slideDurations, audioForPost, loadReelsConfig } from '../src/reel-video.js';
+
+let root;
+let cfg;
+
+before(() => {
+    delete process.env.REEL_AUDIO;
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'reel-audio-'));
+    fs.mkdirSync(path.join(root, 'audio'));
+    fs.mkdirSync(path.join(root, 'audio-private'));
+    fs.writeFileSync(path.join(root, 'audio', 'beat.mp3'), '');
+    fs.writeFileSync(path.join(root, 'audio-private', 'secret.mp3'), '');
+    fs.writeFileSync(path.join(root, 'outside.mp3'), '');
+    cfg = { ...loadReelsConfig(), audioDir: path.join(root, 'audio'), defaultAudio: null };
+});
+
+after(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+});
+
+test('slideDurations: cover and slide defaults, per-slide overrides', () => {
+    assert.deepEqual(slideDurations({}, 4, cfg), [cfg.coverSeconds, cfg.slideSeconds, cfg.slideSeconds, cfg.slideSeconds]);
+    assert.deepEqual(slideDurations({ reel: { slideSeconds: [2, 5] } }, 3, cfg), [2, 5, cfg.slideSeconds]);
+});
+
+test('audioForPost: no track unless one is configured', () => {
+    assert.equal(audioForPost({}, cfg), null);
+});
+
+test('audioForPost: resolves a track inside the audio library', () => {
+    assert.equal(audioForPost({ reel: { audio: 'beat.mp3' } }, cfg), path.join(root, 'audio', 'beat.mp3'));
+    assert.equal(audioForPost({}, { ...cfg, defaultAudio: 'beat.mp3' }), path.join(root, 'audio', 'beat.mp3'));
+});
+
+test('audioForPost: refuses paths outside the audio library', () => {
+    for (const audio of ['../outside.mp3', path.join(root, 'outside.mp3'), '../audio-private/secret.mp3', '.']) {
+        assert.throws(() => audioForPost({ reel: { audio } }, cfg), /is outside the audio library/, audio);
+    }
+});
+
+test('audioForPost: a missing track is an error', () => {
+    assert.throws(() => audioForPost({ reel: { audio: 'missing.mp3' } }, cfg), /"missing\.mp3" not found/);
+});
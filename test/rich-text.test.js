@@ -0,0 +1,35 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { renderRichText, stripMarkup, hasGlow, escapeHtml } from '../src/rich-text.js';
+
+test('HTML in content is escaped, never rendered', () => {
+    assert.equal(
+        renderRichText('<img src="https://evil.example/x.png" onerror=\'alert(1)\'> & co'),
+        '&lt;img src=&quot;https://evil.example/x.png&quot; onerror=&#39;alert(1)&#39;&gt; &amp; co'
+    );
+    assert.equal(escapeHtml('</span><script>'), '&lt;/span&gt;&lt;script&gt;');
+});
+
+test('markers become tags around escaped text', () => {
+    assert.equal(renderRichText('**<b>bold</b>** and ==glow=='), '<strong>&lt;b&gt;bold&lt;/b&gt;</strong> and <span class="g">glow</span>');
+    assert.equal(renderRichText('line one\nline two\r\nthree'), 'line one<br>line two<br>three');
+    assert.equal(renderRichText('Launch :rocket: :unknown:'), 'Launch 🚀 :unknown:');
+});
+
+test('unmatched or line-spanning markers are shown literally', () => {
+    assert.equal(renderRichText('2 ** 3'), '2 ** 3');
+    assert.equal(renderRichText('** spaced **'), '** spaced **');
+    assert.equal(renderRichText('**open\nclose**'), '**open<br>close**');
+    assert.equal(renderRichText('a == b'), 'a == b');
+});
+
+test('stripMarkup gives plain text for alt text and captions', () => {
+    assert.equal(stripMarkup('**Big** ==news== :fire:\n  next line'), 'Big news 🔥 next line');
+    assert.equal(stripMarkup('<kept as text>'), '<kept as text>');
+});
+
+test('hasGlow only sees complete glow markers', () => {
+    assert.equal(hasGlow('Nvidia ==tops== $4T'), true);
+    assert.equal(hasGlow('x == y'), false);
+    assert.equal(hasGlow('**bold only**'), false);
+});
@@ -0,0 +1,96 @@
+import { test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import sharp from 'sharp';
+import { checkImageUrl, preflightImageUrls, PreflightError, STORY_LIMITS } from '../src/url-preflight.js';
+
+const image = (width, height, format) =>
+    sharp({ create: { width, height, channels: 3, background: '#102030' } })[format]().toBuffer();
+
+// path → [status, content type, body]; /late.jpg is a 404 until its second request
+const routes = {};
+let lateRequests = 0;
+const server = http.createServer((req, res) => {
+    let route = routes[req.url];
+    if (req.url === '/late.jpg' && ++lateRequests === 1) route = [404, 'text/html', 'Not Found'];
+    if (!route) route = [404, 'text/html', 'Not Found'];
+    const [status, type, body] = route;
+    res.writeHead(status, { 'Content-Type': type });
+    res.end(body);
+});
+let base;
+
+before(async () => {
+    mock.method(console, 'log', () => {});
+    const portrait = await image(1080, 1350, 'jpeg');
+    routes['/portrait.jpg'] = [200, 'image/jpeg', portrait];
+    routes['/late.jpg'] = [200, 'image/jpeg', portrait];
+    routes['/square.png'] = [200, 'image/png; charset=binary', await image(1080, 1080, 'png')];
+    routes['/story.jpg'] = [200, 'image/jpeg', await image(1080, 1920, 'jpeg')];
+    routes['/tiny.jpg'] = [200, 'image/jpeg', await image(200, 200, 'jpeg')];
+    routes['/error-page.jpg'] = [200, 'image/jpeg', '<html>Rate limited</html>'];
+    routes['/as-text.jpg'] = [200, 'text/plain', portrait];
+    routes['/down.jpg'] = [503, 'text/html', 'Service Unavailable'];
+    routes['/forbidden.jpg'] = [403, 'text/html', 'Forbidden'];
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+    server.close();
+});
+
+test('JPEG and PNG within the feed limits pass', async () => {
+    const jpeg = await checkImageUrl(`${base}/portrait.jpg`);
+    assert.equal(jpeg.ok, true, jpeg.problems.join('; '));
+    assert.deepEqual([jpeg.type, jpeg.width, jpeg.height, jpeg.contentType], ['jpeg', 1080, 1350, 'image/jpeg']);
+
+    const png = await checkImageUrl(`${base}/square.png`);
+    assert.equal(png.ok, true, png.problems.join('; '));
+});
+
+test('a 9:16 image fails the feed limits but passes as a story', async () => {
+    const feed = await checkImageUrl(`${base}/story.jpg`);
+    assert.equal(feed.ok, false);
+    assert.match(feed.problems.join(), /aspect ratio 0\.563 \(1080x1920\) is outside 0\.80–1\.91/);
+
+    const story = await checkImageUrl(`${base}/story.jpg`, STORY_LIMITS);
+    assert.equal(story.ok, true, story.problems.join('; '));
+});
+
+test('bad bodies, types and sizes are final failures', async () => {
+    const page = await checkImageUrl(`${base}/error-page.jpg`);
+    assert.deepEqual([page.ok, page.retryable], [false, false]);
+    assert.match(page.problems.join(), /body is not a JPEG or PNG image/);
+
+    const text = await checkImageUrl(`${base}/as-text.jpg`);
+    assert.match(text.problems.join(), /content type is "text\/plain"/);
+
+    const tiny = await checkImageUrl(`${base}/tiny.jpg`);
+    assert.match(tiny.problems.join(), /width 200px is outside 320–1440px/);
+});
+
+test('404 and 5xx are retryable, other statuses are not', async () => {
+    const missing = await checkImageUrl(`${base}/nothing-here.jpg`);
+    assert.deepEqual([missing.ok, missing.retryable, missing.status], [false, true, 404]);
+
+    const down = await checkImageUrl(`${base}/down.jpg`);
+    assert.equal(down.retryable, true);
+
+    const forbidden = await checkImageUrl(`${base}/forbidden.jpg`);
+    assert.deepEqual([forbidden.retryable, forbidden.problems], [false, ['HTTP 403']]);
+});
+
+test('preflightImageUrls waits for late files and reports the rest', async () => {
+    const results = await preflightImageUrls([`${base}/portrait.jpg`, `${base}/late.jpg`], { retries: 2, retryDelayMs: 1 });
+    assert.deepEqual(results.map(r => r.ok), [true, true]);
+    assert.equal(lateRequests, 2);
+
+    await assert.rejects(
+        preflightImageUrls([`${base}/portrait.jpg`, `${base}/forbidden.jpg`], { retries: 1, retryDelayMs: 1 }),
+        err => err instanceof PreflightError &&
+            /Pre-flight failed for 1 of 2 image\(s\)/.test(err.message) &&
+            /❌ Slide 2: HTTP 403/.test(err.message) &&
+            err.results.length === 2
+    );
+});